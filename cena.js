@@ -0,0 +1,860 @@
+//
+//  cena.js
+//
+//  Leitura e escrita do desenho (cena) em arquivos. O documento JSON tem o formato
+//
+//      { "formato": "trabalho-webgl", "versao": VERSAO_CENA, "objetos": [ ... ] }
+//
+//  onde cada item de "objetos" é o retorno do to_json() de uma primitiva ou de um grupo
+//  (que contém os to_json() dos seus objetos). O desenho também pode ser exportado como
+//  SVG, e formas básicas de arquivos SVG podem ser importadas.
+//
+//  Versões do formato: 1 = pontos, linhas e polígonos; 2 = grupos; 3 = transformações
+//  (translação, rotação, escala e pivô) em todas as primitivas; 4 = traço das linhas
+//  (largura, extremidades e tracejado); 5 = contorno e preenchimento opcional dos
+//  polígonos; 6 = tamanho e forma dos pontos; 7 = polilinhas; 8 = círculos e elipses
+//
+
+const FORMATO_CENA = "trabalho-webgl";
+const VERSAO_CENA = 8;
+
+/** Formas dos marcadores dos pontos. O índice é o valor de a_forma no shader */
+const FORMAS_PONTO = [ "quadrado", "circulo", "cruz", "losango" ];
+
+/**
+ * Tamanho máximo dos pontos, em pixels CSS. O WebGL ainda limita o gl_PointSize ao
+ * ALIASED_POINT_SIZE_RANGE da implementação, então em algumas o marcador fica menor
+ */
+const TAMANHO_MAX_PONTO = 64;
+
+/** Extremidades (pontas) das linhas e os valores correspondentes de stroke-linecap */
+const EXTREMIDADES_LINHA = { "reta": "butt", "redonda": "round", "quadrada": "square" };
+
+/** Retorna o documento JSON (objeto JS) com todos os objetos do desenho */
+function serializa_cena(controle) {
+    return {
+        "formato": FORMATO_CENA,
+        "versao": VERSAO_CENA,
+        "objetos": objetos_de_topo(controle).map(obj => obj.to_json()),
+    };
+}
+
+/**
+ * Cria as primitivas descritas no documento. O documento deve ter sido validado antes
+ * com valida_cena(). Retorna a lista de objetos criados
+ */
+function carrega_cena(doc) {
+    return doc.objetos.map(objeto_de_json);
+}
+
+/** Cria um objeto a partir do seu JSON (já validado), de acordo com o tipo */
+function objeto_de_json(json) {
+    const classes = {
+        "ponto": Point,
+        "linha": Line,
+        "polilinha": Polyline,
+        "poligono": Polygon,
+        "circulo": Circle,
+        "elipse": Ellipse,
+        "grupo": Group,
+    };
+
+    return classes[json.tipo].from_json(json);
+}
+
+/** Lança um erro se valor não for um número finito */
+function valida_numero(valor, caminho) {
+    if (typeof valor != "number" || !Number.isFinite(valor)) {
+        throw Error(`${caminho} deveria ser um número`);
+    }
+}
+
+/** Lança um erro se valor não for um fator de escala (número positivo) */
+function valida_escala(valor, caminho) {
+    valida_numero(valor, caminho);
+    if (valor <= 0) {
+        throw Error(`${caminho} deveria ser maior do que zero`);
+    }
+}
+
+/** Lança um erro se valor não for uma coordenada [x, y] */
+function valida_coordenada(valor, caminho) {
+    if (!Array.isArray(valor) || valor.length != 2) {
+        throw Error(`${caminho} deveria ser uma coordenada [x, y]`);
+    }
+    valida_numero(valor[0], `${caminho}[0]`);
+    valida_numero(valor[1], `${caminho}[1]`);
+}
+
+/** Lança um erro se valor não for uma cor [r, g, b, a] com valores inteiros de 0 a 255 */
+function valida_cor(valor, caminho) {
+    if (
+        !Array.isArray(valor)
+        || valor.length != 4
+        || !valor.every(c => Number.isInteger(c) && c >= 0 && c <= 255)
+    ) {
+        throw Error(`${caminho} deveria ser uma cor [r, g, b, a] com valores de 0 a 255`);
+    }
+}
+
+/** Lança um erro se valor não for uma lista de pelo menos min coordenadas */
+function valida_anel(valor, caminho, min = 3) {
+    if (!Array.isArray(valor) || valor.length < min) {
+        throw Error(`${caminho} deveria ser uma lista com pelo menos ${min} coordenadas`);
+    }
+    valor.forEach((c, i) => valida_coordenada(c, `${caminho}[${i}]`));
+}
+
+/**
+ * Lança um erro se valor não for um padrão de tracejado: uma lista de comprimentos
+ * (alternando traços e espaços) não negativos e que não sejam todos zero. A lista
+ * vazia é uma linha contínua
+ */
+function valida_tracejado(valor, caminho) {
+    if (
+        !Array.isArray(valor)
+        || !valor.every(v => typeof v == "number" && Number.isFinite(v) && v >= 0)
+        || (valor.length > 0 && valor.every(v => v == 0))
+    ) {
+        throw Error(`${caminho} deveria ser uma lista de comprimentos positivos`);
+    }
+}
+
+/**
+ * Lança um erro se o traço de uma linha (largura, extremidade e tracejado) for
+ * inválido. Os campos são opcionais nos arquivos de versões anteriores
+ */
+function valida_traco(json, caminho) {
+    if (json.largura != undefined) {
+        valida_escala(json.largura, `${caminho}.largura`);
+    }
+    if (
+        json.extremidade != undefined
+        && !Object.keys(EXTREMIDADES_LINHA).includes(json.extremidade)
+    ) {
+        throw Error(`${caminho}.extremidade deveria ser "reta", "redonda" ou "quadrada"`);
+    }
+    if (json.tracejado != undefined) {
+        valida_tracejado(json.tracejado, `${caminho}.tracejado`);
+    }
+}
+
+/**
+ * Lança um erro se o marcador de um ponto (tamanho e forma) for inválido. Os campos são
+ * opcionais nos arquivos de versões anteriores
+ */
+function valida_marcador(json, caminho) {
+    if (json.tamanho != undefined) {
+        valida_escala(json.tamanho, `${caminho}.tamanho`);
+        if (json.tamanho > TAMANHO_MAX_PONTO) {
+            throw Error(`${caminho}.tamanho deveria ser no máximo ${TAMANHO_MAX_PONTO}`);
+        }
+    }
+    if (json.forma != undefined && !FORMAS_PONTO.includes(json.forma)) {
+        throw Error(`${caminho}.forma deveria ser um destes: ${FORMAS_PONTO.join(", ")}`);
+    }
+}
+
+/**
+ * Lança um erro se o preenchimento ou o contorno de um polígono forem inválidos. Os
+ * campos são opcionais nos arquivos de versões anteriores
+ */
+function valida_contorno(json, caminho) {
+    if (json.preenchido != undefined && typeof json.preenchido != "boolean") {
+        throw Error(`${caminho}.preenchido deveria ser true ou false`);
+    }
+    if (json.cor_contorno != undefined) {
+        valida_cor(json.cor_contorno, `${caminho}.cor_contorno`);
+    }
+    if (json.largura_contorno != undefined) {
+        valida_numero(json.largura_contorno, `${caminho}.largura_contorno`);
+        if (json.largura_contorno < 0) {
+            throw Error(`${caminho}.largura_contorno não pode ser negativa`);
+        }
+    }
+
+    // Sem preenchimento e sem contorno, o polígono não seria desenhado
+    if (json.preenchido == false && !(json.largura_contorno > 0)) {
+        throw Error(`${caminho} sem preenchimento precisa de um contorno (largura_contorno)`);
+    }
+}
+
+/** Lança um erro se json não descrever uma primitiva válida */
+function valida_objeto(json, caminho) {
+    if (typeof json != "object" || json == null || Array.isArray(json)) {
+        throw Error(`${caminho} deveria ser um objeto`);
+    }
+
+    switch (json.tipo) {
+        case "ponto":
+            valida_numero(json.x, `${caminho}.x`);
+            valida_numero(json.y, `${caminho}.y`);
+            valida_marcador(json, caminho);
+            break;
+
+        case "linha":
+            for (const chave of [ "x1", "y1", "x2", "y2", "rotacao" ]) {
+                valida_numero(json[chave], `${caminho}.${chave}`);
+            }
+            valida_escala(json.escala, `${caminho}.escala`);
+            valida_coordenada(json.translacao, `${caminho}.translacao`);
+            valida_traco(json, caminho);
+            break;
+
+        case "circulo":
+            valida_coordenada(json.centro, `${caminho}.centro`);
+            valida_escala(json.raio, `${caminho}.raio`);
+            valida_numero(json.rotacao, `${caminho}.rotacao`);
+            valida_escala(json.escala, `${caminho}.escala`);
+            break;
+
+        case "elipse":
+            valida_coordenada(json.centro, `${caminho}.centro`);
+            if (!Array.isArray(json.raios) || json.raios.length != 2) {
+                throw Error(`${caminho}.raios deveria ser uma lista [rx, ry]`);
+            }
+            valida_escala(json.raios[0], `${caminho}.raios[0]`);
+            valida_escala(json.raios[1], `${caminho}.raios[1]`);
+            valida_numero(json.angulo, `${caminho}.angulo`);
+            valida_numero(json.rotacao, `${caminho}.rotacao`);
+            valida_escala(json.escala, `${caminho}.escala`);
+            break;
+
+        case "polilinha":
+            valida_anel(json.vertices, `${caminho}.vertices`, 2);
+            valida_numero(json.rotacao, `${caminho}.rotacao`);
+            valida_escala(json.escala, `${caminho}.escala`);
+            break;
+
+        case "poligono": {
+            valida_anel(json.vertices, `${caminho}.vertices`);
+            if (!Array.isArray(json.buracos)) {
+                throw Error(`${caminho}.buracos deveria ser uma lista`);
+            }
+            json.buracos.forEach((b, i) => valida_anel(b, `${caminho}.buracos[${i}]`));
+            valida_numero(json.rotacao, `${caminho}.rotacao`);
+            valida_escala(json.escala, `${caminho}.escala`);
+            valida_contorno(json, caminho);
+
+            // Polígonos que não podem ser triangulados não seriam desenhados
+            const anel = (coords) => coords.map(([ x, y ]) => ({ x, y }));
+            const { erro } = triangula_poligono(anel(json.vertices), json.buracos.map(anel));
+            if (erro != undefined) {
+                throw Error(`${caminho} é um polígono inválido: ${erro}`);
+            }
+            break;
+        }
+
+        // Grupos não têm cor própria, apenas os objetos dentro deles
+        case "grupo":
+            if (!Array.isArray(json.objetos) || json.objetos.length == 0) {
+                throw Error(`${caminho}.objetos deveria ser uma lista não vazia`);
+            }
+            json.objetos.forEach((obj, i) => valida_objeto(obj, `${caminho}.objetos[${i}]`));
+            valida_numero(json.rotacao, `${caminho}.rotacao`);
+            valida_escala(json.escala, `${caminho}.escala`);
+            valida_coordenada(json.centro, `${caminho}.centro`);
+            return;
+
+        default:
+            throw Error(`${caminho}.tipo "${json.tipo}" é desconhecido`);
+    }
+
+    valida_cor(json.cor, `${caminho}.cor`);
+
+    // Ordem de empilhamento (opcional: sem ela, vale a ordem do arquivo)
+    if (json.z != undefined) {
+        valida_numero(json.z, `${caminho}.z`);
+    }
+
+    // Transformações (opcionais nos arquivos de versões anteriores)
+    if (json.rotacao != undefined) {
+        valida_numero(json.rotacao, `${caminho}.rotacao`);
+    }
+    if (json.escala != undefined) {
+        valida_escala(json.escala, `${caminho}.escala`);
+    }
+    if (json.translacao != undefined) {
+        valida_coordenada(json.translacao, `${caminho}.translacao`);
+    }
+    if (json.pivo != undefined) {
+        valida_coordenada(json.pivo, `${caminho}.pivo`);
+    }
+}
+
+/**
+ * Verifica se doc é um documento de cena válido e que esta versão da aplicação consegue
+ * abrir. Lança um erro com uma mensagem explicando o problema caso contrário
+ */
+function valida_cena(doc) {
+    if (typeof doc != "object" || doc == null || doc.formato != FORMATO_CENA) {
+        throw Error("o arquivo não é um desenho salvo por esta aplicação");
+    }
+
+    if (!Number.isInteger(doc.versao) || doc.versao < 1) {
+        throw Error("o arquivo não tem um número de versão válido");
+    }
+
+    if (doc.versao > VERSAO_CENA) {
+        throw Error(
+            `o arquivo foi salvo na versão ${doc.versao} do formato, mas esta aplicação `
+            + `só abre até a versão ${VERSAO_CENA}`
+        );
+    }
+
+    if (!Array.isArray(doc.objetos)) {
+        throw Error("objetos deveria ser uma lista");
+    }
+
+    doc.objetos.forEach((json, i) => valida_objeto(json, `objetos[${i}]`));
+}
+
+/** Formata um número para o SVG, com no máximo 2 casas decimais */
+function num_svg(valor) {
+    return String(Math.round(valor * 100) / 100);
+}
+
+/**
+ * Retorna os atributos SVG de cor (ex: fill="rgb(...)" fill-opacity="...") para a
+ * propriedade dada ("fill" ou "stroke") e a cor [r, g, b, a] com valores de 0 a 255
+ */
+function cor_svg(propriedade, cor) {
+    const [ r, g, b, a ] = cor;
+    let atributos = `${propriedade}="rgb(${r},${g},${b})"`;
+    if (a != 255) {
+        atributos += ` ${propriedade}-opacity="${num_svg(a / 255)}"`;
+    }
+    return atributos;
+}
+
+/** Margem em volta dos objetos no SVG exportado, para não cortar pontos e traços */
+const MARGEM_SVG = 10;
+
+/**
+ * Retorna o texto de um arquivo SVG com todos os objetos do desenho. O sistema de
+ * coordenadas é o mesmo do mundo: y para baixo e os objetos com as suas coordenadas
+ * atuais. O viewBox envolve as bounding boxes de todos os objetos (mais MARGEM_SVG),
+ * senão o pan e o zoom deixariam objetos de fora. Um desenho vazio usa a área
+ * 0 0 largura altura
+ */
+function exporta_svg(controle, largura, altura) {
+    const objetos = objetos_da_cena(controle);
+    const elementos = objetos.map(obj => `  ${obj.to_svg()}`);
+
+    let [ x0, y0 ] = [ 0, 0 ];
+    if (objetos.length > 0) {
+        const bboxes = objetos.map(obj => obj.boundingbox());
+        x0 = Math.min(...bboxes.map(b => b.xc - b.w/2)) - MARGEM_SVG;
+        y0 = Math.min(...bboxes.map(b => b.yc - b.h/2)) - MARGEM_SVG;
+        largura = Math.max(...bboxes.map(b => b.xc + b.w/2)) + MARGEM_SVG - x0;
+        altura = Math.max(...bboxes.map(b => b.yc + b.h/2)) + MARGEM_SVG - y0;
+    }
+    const [ x, y, w, h ] = [ x0, y0, largura, altura ].map(num_svg);
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" `
+            + `viewBox="${x} ${y} ${w} ${h}">`,
+        ...elementos,
+        "</svg>",
+        "",
+    ].join("\n");
+}
+
+/** Elementos SVG que não desenham nada e podem ser ignorados sem aviso */
+const SVG_IGNORADOS = [ "title", "desc", "metadata", "defs", "style" ];
+
+/**
+ * Tamanho máximo (em px) de um retângulo, círculo ou elipse para ele ser importado como
+ * ponto
+ */
+const SVG_TAMANHO_PONTO = 6;
+
+/** Lê os números de um atributo como "points" ou "d", separados por espaço ou vírgula */
+function numeros_svg(texto) {
+    const numeros = texto.match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+    return numeros.map(Number);
+}
+
+/** Converte uma lista [x0, y0, x1, y1, ...] em uma lista de coordenadas [[x, y], ...] */
+function coordenadas_svg(numeros) {
+    const coords = [];
+    for (let i = 0; i < numeros.length-1; i += 2) {
+        coords.push([ numeros[i], numeros[i+1] ]);
+    }
+    return coords;
+}
+
+/** Comandos de <path> que não são suportados na importação (curvas e arcos) */
+const COMANDOS_CURVAS_SVG = "CcSsQqTtAa";
+
+/**
+ * Lê os subcaminhos do atributo "d" de um <path>. Apenas os comandos M, L, H, V e Z
+ * (absolutos e relativos) são suportados. Retorna { subcaminhos, erro }, onde
+ * subcaminhos é uma lista de { coords, fechado } e erro é undefined em caso de
+ * sucesso, "com curvas ou arcos" se o caminho tiver algum desses comandos ou
+ * "inválido" se ele estiver mal formado (ex: coordenada faltando)
+ */
+function subcaminhos_svg(d) {
+    const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+
+    const subcaminhos = [];
+    let atual;
+    let [ x, y ] = [ 0, 0 ];   // posição atual
+    let [ x0, y0 ] = [ 0, 0 ]; // início do subcaminho atual
+    let comando;
+
+    // Adiciona o ponto (x, y) ao subcaminho atual, começando um novo se necessário
+    const adiciona = () => {
+        if (atual == undefined) {
+            atual = { coords: [ [ x0, y0 ] ], fechado: false };
+            subcaminhos.push(atual);
+        }
+        atual.coords.push([ x, y ]);
+    };
+
+    let i = 0;
+
+    // Lê o próximo número, ou NaN se o próximo token for um comando ou não existir
+    const numero = () => {
+        const token = tokens[i];
+        if (token == undefined || /[a-zA-Z]/.test(token)) return NaN;
+        i++;
+        return Number(token);
+    };
+
+    const invalido = { subcaminhos: [], erro: "inválido" };
+
+    while (i < tokens.length) {
+        if (/[a-zA-Z]/.test(tokens[i])) {
+            comando = tokens[i++];
+            if (COMANDOS_CURVAS_SVG.includes(comando)) {
+                return { subcaminhos: [], erro: "com curvas ou arcos" };
+            }
+            if (!"MmLlHhVvZz".includes(comando)) return invalido;
+
+            if (comando == "Z" || comando == "z") {
+                if (atual != undefined) atual.fechado = true;
+                atual = undefined;
+                [ x, y ] = [ x0, y0 ];
+            }
+            continue;
+        }
+
+        // Número sem nenhum comando antes
+        if (comando == undefined || comando == "Z" || comando == "z") return invalido;
+
+        const relativo = comando == comando.toLowerCase();
+        const [ dx, dy ] = relativo ? [ x, y ] : [ 0, 0 ];
+        const valor = numero();
+
+        switch (comando.toUpperCase()) {
+            case "M": {
+                const valor_y = numero();
+                [ x, y ] = [ dx + valor, dy + valor_y ];
+                [ x0, y0 ] = [ x, y ];
+                atual = undefined;
+
+                // Pares depois do primeiro são lineto implícitos
+                comando = relativo ? "l" : "L";
+                break;
+            }
+            case "L": {
+                const valor_y = numero();
+                [ x, y ] = [ dx + valor, dy + valor_y ];
+                adiciona();
+                break;
+            }
+            case "H":
+                x = dx + valor;
+                adiciona();
+                break;
+            case "V":
+                y = (relativo ? y : 0) + valor;
+                adiciona();
+                break;
+        }
+
+        if (!Number.isFinite(x) || !Number.isFinite(y)) return invalido;
+    }
+
+    return { subcaminhos, erro: undefined };
+}
+
+/**
+ * Retorna as propriedades de estilo do elemento (fill, stroke, opacidades) que são
+ * relevantes para a importação, combinando as herdadas do elemento pai, os atributos e
+ * o atributo style (que tem prioridade)
+ */
+function estilo_svg(el, herdado) {
+    const propriedades = [
+        "fill", "stroke", "opacity", "fill-opacity", "stroke-opacity",
+        "stroke-width", "stroke-linecap", "stroke-dasharray",
+    ];
+    const estilo = { ...herdado };
+
+    // A opacidade não é herdada, mas se acumula com a dos elementos pais
+    estilo["opacity"] = herdado["opacity"] ?? 1;
+
+    for (const prop of propriedades) {
+        if (el.hasAttribute(prop)) {
+            estilo[prop] = el.getAttribute(prop).trim();
+        }
+    }
+
+    const style = el.getAttribute("style") || "";
+    for (const declaracao of style.split(";")) {
+        const [ prop, valor ] = declaracao.split(":").map(t => t && t.trim());
+        if (propriedades.includes(prop) && valor) {
+            estilo[prop] = valor;
+        }
+    }
+
+    if (el.hasAttribute("opacity") || /opacity\s*:/.test(style)) {
+        const opacidade = parseFloat(estilo["opacity"]);
+        estilo["opacity"] = (herdado["opacity"] ?? 1) * (Number.isFinite(opacidade) ? opacidade : 1);
+    }
+
+    return estilo;
+}
+
+/**
+ * Converte a cor SVG da propriedade ("fill" ou "stroke") do estilo para [r, g, b, a].
+ * Retorna undefined se a propriedade for "none". O próprio navegador interpreta a cor
+ * (nomes, #rgb, rgb(), etc) através de um contexto 2D de canvas
+ */
+function cor_de_svg(estilo, propriedade) {
+    // O padrão do SVG é preenchimento preto e sem contorno
+    const valor = estilo[propriedade] ?? (propriedade == "fill" ? "black" : "none");
+    if (valor == "none" || valor == "transparent") return;
+
+    const ctx = cor_de_svg.ctx ??= document.createElement("canvas").getContext("2d");
+    ctx.fillStyle = "#000000";
+    ctx.fillStyle = valor;
+    const normalizada = ctx.fillStyle;
+
+    // O canvas devolve a cor como #rrggbb ou, se ela for translúcida, rgba(r, g, b, a)
+    let [ r, g, b, a ] = normalizada.startsWith("#")
+        ? [ 1, 3, 5 ].map(i => parseInt(normalizada.slice(i, i+2), 16))
+        : numeros_svg(normalizada);
+    a = a ?? 1;
+
+    let opacidade = parseFloat(estilo[`${propriedade}-opacity`]);
+    if (!Number.isFinite(opacidade)) opacidade = 1;
+    a *= opacidade * estilo["opacity"];
+
+    return [ r, g, b, Math.round(255 * Math.min(Math.max(a, 0), 1)) ];
+}
+
+/**
+ * Converte o traço SVG (stroke-width, stroke-linecap e stroke-dasharray) do estilo para
+ * os campos de traço das linhas. Valores ausentes ou não suportados ficam com o padrão
+ */
+function traco_de_svg(estilo) {
+    const largura = parseFloat(estilo["stroke-width"]);
+    const extremidade = Object.keys(EXTREMIDADES_LINHA)
+        .find(e => EXTREMIDADES_LINHA[e] == estilo["stroke-linecap"]);
+    const tracejado = numeros_svg(estilo["stroke-dasharray"] ?? "");
+    const tracejado_valido = tracejado.every(v => v >= 0) && tracejado.some(v => v > 0);
+
+    return {
+        "largura": Number.isFinite(largura) && largura > 0 ? largura : 1,
+        "extremidade": extremidade ?? "reta",
+        "tracejado": tracejado_valido ? tracejado : [],
+    };
+}
+
+/**
+ * Lê o atributo transform do elemento quando ele é uma única rotação, rotate(a) ou
+ * rotate(a cx cy), como as exportadas pelas elipses. Retorna [graus, cx, cy], ou
+ * undefined se o elemento não tiver transform ou se ele tiver outras transformações
+ */
+function rotacao_svg(el) {
+    const texto = el.getAttribute("transform") || "";
+    const match = texto.match(/^\s*rotate\(([^)]*)\)\s*$/);
+    if (match == null) return;
+
+    const numeros = numeros_svg(match[1]);
+    if (numeros.length == 1) return [ numeros[0], 0, 0 ];
+    if (numeros.length == 3) return numeros;
+}
+
+/** Retorna o valor numérico do atributo do elemento (0 se não existir) */
+function atributo_svg(el, nome) {
+    const valor = parseFloat(el.getAttribute(nome));
+    return Number.isFinite(valor) ? valor : 0;
+}
+
+/**
+ * Converte um anel (ou um caminho aberto) em objetos JSON de linhas, uma para cada
+ * segmento, com a cor e o traço (ver traco_de_svg) dados. Usado para formas sem
+ * preenchimento, para <line> e para caminhos abertos com traço largo
+ */
+function linhas_de_svg(coords, fechado, cor, traco) {
+    const linhas = [];
+    const n = fechado ? coords.length : coords.length-1;
+    for (let i = 0; i < n; i++) {
+        const [ x1, y1 ] = coords[i];
+        const [ x2, y2 ] = coords[(i+1)%coords.length];
+        if (x1 == x2 && y1 == y2) continue;
+        linhas.push({
+            "tipo": "linha", x1, y1, x2, y2,
+            "cor": cor,
+            ...traco,
+            "rotacao": 0,
+            "escala": 1,
+            "translacao": [ 0, 0 ],
+        });
+    }
+    return linhas;
+}
+
+/**
+ * Converte um caminho aberto em um objeto JSON de polilinha. As polilinhas são sempre
+ * finas (ver Polyline), então um caminho com traço mais largo do que 1 ou tracejado
+ * vira um conjunto de linhas (ver linhas_de_svg), que mantêm o traço
+ */
+function polilinha_de_svg(coords, cor, traco) {
+    if (traco.largura > 1 || traco.tracejado.length > 0) {
+        return linhas_de_svg(coords, false, cor, traco);
+    }
+
+    // Vértices repetidos em sequência não formam segmentos
+    const vertices = coords.filter(([ x, y ], i) =>
+        i == 0 || x != coords[i-1][0] || y != coords[i-1][1]);
+    return [ {
+        "tipo": "polilinha", vertices, cor,
+        "rotacao": 0,
+        "escala": 1,
+    } ];
+}
+
+/**
+ * Converte anéis de um elemento preenchido em objetos JSON de polígonos. O primeiro anel
+ * é o externo e os demais são tratados como buracos (como no path exportado por
+ * exporta_svg). Se isso não formar um polígono válido, cada anel vira um polígono
+ */
+function poligonos_de_svg(aneis, estilo) {
+    const fill = cor_de_svg(estilo, "fill");
+    const stroke = cor_de_svg(estilo, "stroke");
+    if (fill == undefined && stroke == undefined) return [];
+
+    // Sem preenchimento, a cor do polígono não aparece, mas precisa existir
+    const poligono = (vertices, buracos) => ({
+        "tipo": "poligono", vertices, buracos,
+        "cor": fill ?? stroke,
+        "preenchido": fill != undefined,
+        "cor_contorno": stroke ?? [ 0, 0, 0, 255 ],
+        "largura_contorno": stroke == undefined ? 0 : traco_de_svg(estilo).largura,
+        "rotacao": 0,
+        "escala": 1,
+    });
+
+    const [ externo, ...buracos ] = aneis;
+    const com_buracos = poligono(externo, buracos);
+    if (valida_objeto_svg(com_buracos)) {
+        return [ com_buracos ];
+    }
+
+    // Sem preenchimento, um anel que não forma um polígono válido (ex: arestas que se
+    // cruzam) ainda pode ter o contorno importado como linhas
+    return aneis.flatMap(anel => {
+        const json = poligono(anel, []);
+        if (fill != undefined || valida_objeto_svg(json)) return [ json ];
+        return linhas_de_svg(anel, true, stroke, traco_de_svg(estilo));
+    });
+}
+
+/** Retorna true se o objeto JSON importado é válido (ver valida_objeto) */
+function valida_objeto_svg(json) {
+    try {
+        valida_objeto(json, "objeto");
+        return true;
+    } catch (erro) {
+        return false;
+    }
+}
+
+/**
+ * Converte o conteúdo de um arquivo SVG em objetos JSON no mesmo formato do documento
+ * de cena (ver carrega_cena). Retorna { objetos, ignorados }, onde ignorados é a lista
+ * com a descrição dos elementos que não puderam ser importados. Lança um erro se o
+ * texto não for um SVG válido
+ */
+function importa_svg(texto) {
+    const doc = new DOMParser().parseFromString(texto, "image/svg+xml");
+    const raiz = doc.documentElement;
+    if (doc.querySelector("parsererror") != null || raiz.localName != "svg") {
+        throw Error("o arquivo não é um SVG válido");
+    }
+
+    const objetos = [];
+    const ignorados = [];
+
+    const visita = (el, herdado) => {
+        const tag = el.localName;
+        if (SVG_IGNORADOS.includes(tag)) return;
+
+        // Transformações de elementos SVG não são suportadas, exceto a rotação de elipses
+        const rotacao_elipse = tag == "ellipse" && rotacao_svg(el) != undefined;
+        if (el.hasAttribute("transform") && !rotacao_elipse) {
+            ignorados.push(`<${tag}> com transform`);
+            return;
+        }
+
+        const estilo = estilo_svg(el, herdado);
+        const gerados = [];
+
+        switch (tag) {
+            case "svg":
+            case "g":
+                for (const filho of el.children) visita(filho, estilo);
+                return;
+
+            case "circle":
+            case "ellipse":
+            case "rect": {
+                const [ cx, cy ] = tag == "rect"
+                    ? [ atributo_svg(el, "x"), atributo_svg(el, "y") ]
+                    : [ atributo_svg(el, "cx"), atributo_svg(el, "cy") ];
+                const [ w, h ] = tag == "rect"
+                    ? [ atributo_svg(el, "width"), atributo_svg(el, "height") ]
+                    : tag == "circle"
+                        ? [ 2 * atributo_svg(el, "r"), 2 * atributo_svg(el, "r") ]
+                        : [ 2 * atributo_svg(el, "rx"), 2 * atributo_svg(el, "ry") ];
+
+                // Formas pequenas viram pontos, com o marcador mais parecido
+                if (w <= SVG_TAMANHO_PONTO && h <= SVG_TAMANHO_PONTO) {
+                    const cor = cor_de_svg(estilo, "fill") || cor_de_svg(estilo, "stroke");
+                    const [ x, y ] = tag == "rect" ? [ cx + w/2, cy + h/2 ] : [ cx, cy ];
+                    const tamanho = Math.min(Math.max(w, h, 1), TAMANHO_MAX_PONTO);
+                    const forma = tag == "rect" ? "quadrado" : "circulo";
+                    if (cor != undefined) {
+                        gerados.push({ "tipo": "ponto", x, y, cor, tamanho, forma });
+                    }
+                } else if (tag == "rect") {
+                    const [ x, y ] = [ cx, cy ];
+                    gerados.push(...poligonos_de_svg(
+                        [ [ [ x, y ], [ x+w, y ], [ x+w, y+h ], [ x, y+h ] ] ], estilo));
+                } else {
+                    // Círculos e elipses só têm preenchimento
+                    const cor = cor_de_svg(estilo, "fill");
+                    if (cor == undefined) {
+                        ignorados.push(`<${tag}> sem preenchimento`);
+                        return;
+                    }
+
+                    const base = { cor, "rotacao": 0, "escala": 1 };
+                    if (tag == "circle") {
+                        gerados.push({
+                            "tipo": "circulo", "centro": [ cx, cy ], "raio": w/2, ...base,
+                        });
+                    } else {
+                        // A rotação do transform gira o centro e vira o ângulo da elipse
+                        const [ graus, px, py ] = rotacao_svg(el) ?? [ 0, 0, 0 ];
+                        const centro = rotaciona_ponto(cx, cy, graus, px, py);
+                        gerados.push({
+                            "tipo": "elipse", centro, "raios": [ w/2, h/2 ],
+                            "angulo": normaliza_angulo(graus), ...base,
+                        });
+                    }
+                }
+                break;
+            }
+
+            case "line": {
+                const stroke = cor_de_svg(estilo, "stroke");
+                if (stroke == undefined) break;
+                const coords = [
+                    [ atributo_svg(el, "x1"), atributo_svg(el, "y1") ],
+                    [ atributo_svg(el, "x2"), atributo_svg(el, "y2") ],
+                ];
+                gerados.push(...linhas_de_svg(coords, false, stroke, traco_de_svg(estilo)));
+                break;
+            }
+
+            case "polyline": {
+                const stroke = cor_de_svg(estilo, "stroke");
+                if (stroke == undefined) break;
+                const coords = coordenadas_svg(numeros_svg(el.getAttribute("points") || ""));
+                gerados.push(...polilinha_de_svg(coords, stroke, traco_de_svg(estilo)));
+                break;
+            }
+
+            case "polygon": {
+                const coords = coordenadas_svg(numeros_svg(el.getAttribute("points") || ""));
+                gerados.push(...poligonos_de_svg([ coords ], estilo));
+                break;
+            }
+
+            case "path": {
+                const { subcaminhos, erro } = subcaminhos_svg(el.getAttribute("d") || "");
+                if (erro != undefined) {
+                    ignorados.push(`<path> ${erro}`);
+                    return;
+                }
+
+                // Caminho sem preenchimento com algum subcaminho aberto: cada subcaminho
+                // aberto vira uma polilinha e cada fechado, um conjunto de linhas. Se todos
+                // forem fechados, vira um polígono só com contorno (como os exportados por
+                // exporta_svg)
+                const abertos = subcaminhos.some(s => !s.fechado);
+                if (cor_de_svg(estilo, "fill") == undefined && abertos) {
+                    const stroke = cor_de_svg(estilo, "stroke");
+                    if (stroke == undefined) break;
+                    const traco = traco_de_svg(estilo);
+                    for (const { coords, fechado } of subcaminhos) {
+                        gerados.push(...(fechado
+                            ? linhas_de_svg(coords, true, stroke, traco)
+                            : polilinha_de_svg(coords, stroke, traco)));
+                    }
+                } else {
+                    // Preenchimentos fecham os subcaminhos implicitamente
+                    gerados.push(...poligonos_de_svg(subcaminhos.map(s => s.coords), estilo));
+                }
+                break;
+            }
+
+            default:
+                ignorados.push(`<${tag}>`);
+                return;
+        }
+
+        // Descarta objetos inválidos (ex: polígono com arestas que se cruzam)
+        for (const json of gerados) {
+            if (valida_objeto_svg(json)) {
+                objetos.push(json);
+            } else {
+                ignorados.push(`<${tag}> inválido`);
+            }
+        }
+    };
+
+    visita(raiz, {});
+
+    return { objetos, ignorados };
+}
+
+/**
+ * Resume a lista de elementos ignorados, agrupando os repetidos.
+ * Exemplo: "<text> (2), <path> com curvas ou arcos"
+ */
+function resume_ignorados(ignorados) {
+    const contagem = new Map();
+    for (const descricao of ignorados) {
+        contagem.set(descricao, (contagem.get(descricao) ?? 0) + 1);
+    }
+    return [ ...contagem ].map(([ d, n ]) => n > 1 ? `${d} (${n})` : d).join(", ");
+}
+
+/** Faz o navegador baixar um arquivo com o conteúdo dado */
+function baixa_arquivo(nome, conteudo, tipo) {
+    const url = URL.createObjectURL(new Blob([ conteudo ], { type: tipo }));
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = nome;
+    link.click();
+
+    // Libera a URL depois que o download começou
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
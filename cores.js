@@ -0,0 +1,145 @@
+//
+//  cores.js
+//
+//  Conversões de cor usadas pelo seletor de cores e a paleta salva. As cores do desenho
+//  são sempre [r, g, b, a] com valores inteiros de 0 a 255 (o mesmo formato do atributo
+//  a_color do shader e do campo "cor" dos arquivos). A paleta fica no localStorage do
+//  navegador.
+//
+
+/** Paleta inicial, usada enquanto o usuário não salvar a sua */
+const PALETA_PADRAO = [
+    [ 255, 89, 94, 255 ],   // vermelho
+    [ 255, 202, 58, 255 ],  // amarelo
+    [ 138, 201, 38, 255 ],  // verde
+    [ 25, 130, 196, 255 ],  // azul
+    [ 106, 76, 147, 255 ],  // roxo
+    [ 0, 0, 0, 255 ],       // preto
+];
+
+/** Chave da paleta salva no localStorage */
+const CHAVE_PALETA = "trabalho-webgl.paleta";
+
+/** Número máximo de cores usadas recentemente que são mostradas */
+const MAX_CORES_RECENTES = 10;
+
+/** Limita o valor ao intervalo [min, max] e arredonda para inteiro */
+function inteiro_entre(valor, min, max) {
+    return Math.round(Math.min(Math.max(valor, min), max));
+}
+
+/** Retorna true se cor for uma lista [r, g, b, a] de inteiros de 0 a 255 */
+function cor_valida(cor) {
+    return Array.isArray(cor)
+        && cor.length == 4
+        && cor.every(c => Number.isInteger(c) && c >= 0 && c <= 255);
+}
+
+/** Retorna a cor como texto CSS rgba(...) */
+function cor_css(cor) {
+    const [ r, g, b, a ] = cor;
+    return `rgba(${r}, ${g}, ${b}, ${a / 255})`;
+}
+
+/** Retorna a cor como #rrggbb, ou #rrggbbaa se ela for translúcida */
+function cor_para_hex(cor) {
+    const componentes = cor[3] == 255 ? cor.slice(0, 3) : cor;
+    return "#" + componentes.map(c => c.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Converte um texto hexadecimal (#rgb, #rgba, #rrggbb ou #rrggbbaa, com ou sem o #) em
+ * [r, g, b, a]. Retorna undefined se o texto não for uma cor válida
+ */
+function hex_para_cor(texto) {
+    let hex = texto.trim().replace(/^#/, "");
+    if (!/^[0-9a-f]+$/i.test(hex) || ![ 3, 4, 6, 8 ].includes(hex.length)) return;
+
+    // Formas curtas: cada dígito vale por dois (#f80 = #ff8800)
+    if (hex.length <= 4) {
+        hex = [ ...hex ].map(d => d + d).join("");
+    }
+
+    // Sem alfa, a cor é opaca
+    return [ 0, 2, 4, 6 ].map(i => parseInt(hex.slice(i, i+2) || "ff", 16));
+}
+
+/**
+ * Converte r, g, b (0 a 255) para [h, s, v], com matiz h em graus (0 a 360) e saturação
+ * s e valor v em porcentagem (0 a 100)
+ * Fonte: https://en.wikipedia.org/wiki/HSL_and_HSV#From_RGB
+ */
+function rgb_para_hsv(r, g, b) {
+    [ r, g, b ] = [ r / 255, g / 255, b / 255 ];
+    const max = Math.max(r, g, b);
+    const croma = max - Math.min(r, g, b);
+
+    let h = 0;
+    if (croma != 0) {
+        if (max == r) {
+            h = ((g - b) / croma + 6) % 6;
+        } else if (max == g) {
+            h = (b - r) / croma + 2;
+        } else {
+            h = (r - g) / croma + 4;
+        }
+    }
+    const s = max == 0 ? 0 : croma / max;
+
+    return [ 60 * h, 100 * s, 100 * max ];
+}
+
+/**
+ * Converte h (graus), s e v (porcentagem) para [r, g, b] com inteiros de 0 a 255
+ * Fonte: https://en.wikipedia.org/wiki/HSL_and_HSV#HSV_to_RGB_alternative
+ */
+function hsv_para_rgb(h, s, v) {
+    h = ((h % 360) + 360) % 360;
+    [ s, v ] = [ s / 100, v / 100 ];
+
+    const f = (n) => {
+        const k = (n + h / 60) % 6;
+        return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+    };
+
+    return [ f(5), f(3), f(1) ].map(c => inteiro_entre(255 * c, 0, 255));
+}
+
+/**
+ * Retorna a paleta salva no localStorage, ou uma cópia da paleta padrão se não houver
+ * uma (ou se ela estiver corrompida ou o localStorage não estiver disponível)
+ */
+function carrega_paleta() {
+    try {
+        const paleta = JSON.parse(localStorage.getItem(CHAVE_PALETA));
+        if (Array.isArray(paleta) && paleta.every(cor_valida)) {
+            return paleta;
+        }
+    } catch (erro) {
+        // localStorage indisponível ou paleta corrompida: usa a paleta padrão
+    }
+    return PALETA_PADRAO.map(cor => cor.slice());
+}
+
+/** Salva a paleta no localStorage. Retorna false se não for possível */
+function salva_paleta(paleta) {
+    try {
+        localStorage.setItem(CHAVE_PALETA, JSON.stringify(paleta));
+        return true;
+    } catch (erro) {
+        return false;
+    }
+}
+
+/**
+ * Coloca a cor no início da lista de cores recentes (tirando-a de onde estava, se já
+ * estiver na lista) e descarta as mais antigas além de MAX_CORES_RECENTES
+ */
+function adiciona_cor_recente(recentes, cor) {
+    const i = recentes.findIndex(c => String(c) == String(cor));
+    if (i >= 0) {
+        recentes.splice(i, 1);
+    }
+    recentes.unshift(cor.slice());
+    recentes.length = Math.min(recentes.length, MAX_CORES_RECENTES);
+}
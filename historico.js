@@ -0,0 +1,129 @@
+//
+//  historico.js
+//
+//  Histórico de desfazer/refazer baseado em comandos. Cada comando guarda o que é
+//  necessário para desfazer e refazer uma operação de edição, através dos métodos
+//  desfazer() e refazer().
+//
+
+/**
+ * Comando que troca o conteúdo das listas de primitivas (criação, remoção, limpeza,
+ * abertura de arquivo, etc). antes e depois são retratos das listas no formato
+ * [ [Classe, [objetos...]], ... ] (ver retrato_cena em main.js). Os objetos em si não
+ * são copiados, apenas as referências
+ */
+class ComandoListas {
+    constructor(antes, depois) {
+        this.antes = antes;
+        this.depois = depois;
+    }
+
+    static restaura(retrato) {
+        for (const [ classe, objetos ] of retrato) {
+            classe.list.length = 0;
+            classe.list.push(...objetos);
+        }
+    }
+
+    desfazer() {
+        ComandoListas.restaura(this.antes);
+    }
+
+    refazer() {
+        ComandoListas.restaura(this.depois);
+    }
+}
+
+/**
+ * Comando que altera o estado de objetos existentes (translação, rotação, escala, cor,
+ * espelhamento, etc). O estado de cada objeto antes e depois da alteração é guardado
+ * com to_json() e restaurado com set_json()
+ */
+class ComandoModificacao {
+    constructor(objetos, antes, depois) {
+        this.objetos = objetos;
+        this.antes = antes;
+        this.depois = depois;
+    }
+
+    /** Retorna true se a operação de fato alterou algum dos objetos */
+    alterou() {
+        return JSON.stringify(this.antes) != JSON.stringify(this.depois);
+    }
+
+    desfazer() {
+        this.objetos.forEach((obj, i) => obj.set_json(this.antes[i]));
+    }
+
+    refazer() {
+        this.objetos.forEach((obj, i) => obj.set_json(this.depois[i]));
+    }
+}
+
+class Historico {
+    /** profundidade é o número máximo de comandos que podem ser desfeitos */
+    constructor(profundidade = 100) {
+        this.profundidade = profundidade;
+        this.feitos = [];
+        this.desfeitos = [];
+    }
+
+    /** Registra um comando que acabou de ser executado */
+    registra(comando) {
+        this.feitos.push(comando);
+        this.desfeitos.length = 0;
+        this.limita();
+    }
+
+    /**
+     * Começa o registro de uma modificação nos objetos, guardando o estado atual deles.
+     * Retorna a modificação em andamento, que deve ser passada para
+     * finaliza_modificacao() quando a operação terminar (ex: ao soltar o mouse)
+     */
+    inicia_modificacao(objetos) {
+        return { objetos, antes: objetos.map(obj => obj.to_json()) };
+    }
+
+    /** Registra a modificação iniciada em inicia_modificacao(), se houve alguma */
+    finaliza_modificacao(modificacao) {
+        if (modificacao == undefined) return;
+
+        const { objetos, antes } = modificacao;
+        const comando = new ComandoModificacao(objetos, antes, objetos.map(o => o.to_json()));
+        if (comando.alterou()) {
+            this.registra(comando);
+        }
+    }
+
+    /** Desfaz o último comando. Retorna false se não houver nada para desfazer */
+    desfaz() {
+        const comando = this.feitos.pop();
+        if (comando == undefined) return false;
+
+        comando.desfazer();
+        this.desfeitos.push(comando);
+        return true;
+    }
+
+    /** Refaz o último comando desfeito. Retorna false se não houver nada para refazer */
+    refaz() {
+        const comando = this.desfeitos.pop();
+        if (comando == undefined) return false;
+
+        comando.refazer();
+        this.feitos.push(comando);
+        return true;
+    }
+
+    set_profundidade(profundidade) {
+        this.profundidade = profundidade;
+        this.limita();
+    }
+
+    /** Descarta os comandos mais antigos além da profundidade máxima */
+    limita() {
+        if (this.feitos.length > this.profundidade) {
+            this.feitos.splice(0, this.feitos.length - this.profundidade);
+        }
+    }
+}
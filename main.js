@@ -73,10 +73,12 @@ class Base {
     }
 
     /**
-     * Desenha todos as instâncias desta classe.
+     * Desenha as instâncias desta classe que estão em objetos (por padrão, todas). A
+     * ordem de empilhamento entre classes diferentes é feita chamando draw() várias
+     * vezes, uma para cada sequência de objetos da mesma classe (ver desenha_em_ordem).
      * As subclasses devem sobrescrever este método.
      */
-    static draw(f_extra) {
+    static draw(f_extra, objetos = this.list) {
         if (f_extra != undefined) console.assert(typeof(f_extra) == "function");
 
         this.gl.useProgram(this.program);
@@ -104,31 +106,92 @@ class Base {
  * de abstração aqui chamada Primitive
  */
 class Primitive extends Base {
-    static tol = 6; // tolerância de pick em pixels
+    static tol_px = 6; // tolerância de pick em pixels
+
+    // Visualização (pan e zoom): o ponto (x, y) do mundo aparece no pixel
+    // (x * zoom + pan_x, y * zoom + pan_y) do canvas (ver tela_para_mundo)
+    static zoom = 1;
+    static pan_x = 0;
+    static pan_y = 0;
+
+    // Pixels da tela por pixel CSS (devicePixelRatio). As coordenadas do mundo e do mouse
+    // são em pixels CSS (ver redimensiona_canvas)
+    static densidade = 1;
+
+    // Próxima posição na ordem de empilhamento. Objetos novos ficam na frente de todos
+    static proximo_z = 0;
+
+    // Contador de alterações em qualquer primitiva (geometria, cor, transformações,
+    // ordem) ou nas listas de primitivas. A cena só é redesenhada quando ele muda (ver
+    // draw_scene)
+    static alteracoes = 0;
 
     constructor() {
         super();
 
         // Cor padrão = preto
         this.color = [0, 0, 0, 255];
+
+        // Ordem de empilhamento: objetos com z maior são desenhados por cima (e têm
+        // prioridade no pick), independente da classe
+        this.z = Primitive.proximo_z++;
+
+        // Estado das transformações (ver transforma_ponto)
+        this.dx = 0;
+        this.dy = 0;
+        this.rotation = 0;
+        this.escala = 1;
+        this.pivo = undefined;
+
+        // Incrementada sempre que a geometria "original" ou a cor mudam, para que os
+        // buffers da classe só sejam recarregados quando necessário (ver prepara)
+        this.versao = 0;
+
+        // O objeto novo entra na lista da classe
+        Primitive.alteracoes++;
     }
 
-    /* Toda primitiva precisa de pelo menos posições (vértices) e uma cor */
+    // Tolerância de pick nas coordenadas do mundo, para que continue com o mesmo tamanho
+    // na tela independente do zoom
+    static get tol() {
+        return Primitive.tol_px / Primitive.zoom;
+    }
+
+    /**
+     * Toda primitiva precisa de pelo menos posições (vértices), uma cor e o índice do
+     * objeto a que cada vértice pertence, usado para buscar sua matriz de transformação
+     */
     static get_atributos() {
         this.a_position = this.gl.getAttribLocation(this.program, "a_position");
         this.a_color = this.gl.getAttribLocation(this.program, "a_color");
+        this.a_obj = this.gl.getAttribLocation(this.program, "a_obj");
+        this.a_deslocamento = this.gl.getAttribLocation(this.program, "a_deslocamento");
     }
 
-    /* Toda primimitiva precisa saber qual a resolução do canvas */
+    /**
+     * Toda primimitiva precisa saber qual a resolução do canvas, a visualização (pan e
+     * zoom) e as matrizes dos objetos
+     */
     static get_uniforms() {
         this.u_resolution = this.gl.getUniformLocation(this.program, "u_resolution");
+        this.u_densidade = this.gl.getUniformLocation(this.program, "u_densidade");
+        this.u_zoom = this.gl.getUniformLocation(this.program, "u_zoom");
+        this.u_pan = this.gl.getUniformLocation(this.program, "u_pan");
+        this.u_matrizes = this.gl.getUniformLocation(this.program, "u_matrizes");
     }
 
-    /* Configura uniform da resolução */
+    /* Configura uniforms da resolução e da visualização e a textura de matrizes (unidade 0) */
     static set_uniforms() {
         const width = this.gl.canvas.width;
         const height = this.gl.canvas.height;
         this.gl.uniform2f(this.u_resolution, width, height);
+        this.gl.uniform1f(this.u_densidade, Primitive.densidade);
+        this.gl.uniform1f(this.u_zoom, Primitive.zoom);
+        this.gl.uniform2f(this.u_pan, Primitive.pan_x, Primitive.pan_y);
+
+        this.gl.activeTexture(this.gl.TEXTURE0);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.textura_matrizes);
+        this.gl.uniform1i(this.u_matrizes, 0);
     }
 
     /* Configura buffers de posição e de cor */
@@ -148,237 +211,709 @@ class Primitive extends Base {
         this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.a_color_buf);
         this.gl.enableVertexAttribArray(this.a_color);
         this.gl.vertexAttribPointer(this.a_color, 4, this.gl.UNSIGNED_BYTE, true, 0, 0);
+
+        // a_obj
+        console.assert(this.a_obj != null, "atributo a_obj não foi setado");
+        this.a_obj_buf = this.gl.createBuffer();
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.a_obj_buf);
+        this.gl.enableVertexAttribArray(this.a_obj);
+        this.gl.vertexAttribIPointer(this.a_obj, 1, this.gl.INT, 0, 0);
+
+        // a_deslocamento, só nas classes que desenham traços (ver Line.dados)
+        if (this.tem_traco) {
+            console.assert(this.a_deslocamento != null, "atributo a_deslocamento não foi setado");
+            this.a_deslocamento_buf = this.gl.createBuffer();
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.a_deslocamento_buf);
+            this.gl.enableVertexAttribArray(this.a_deslocamento);
+            this.gl.vertexAttribPointer(this.a_deslocamento, 2, this.gl.FLOAT, false, 0, 0);
+        }
+
+        // Textura com as matrizes de transformação dos objetos. Texturas de float não
+        // podem ser filtradas, e o shader lê os texels diretamente com texelFetch()
+        this.textura_matrizes = this.gl.createTexture();
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.textura_matrizes);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.NEAREST);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.NEAREST);
+    }
+
+    /**
+     * Retorna os dados dos vértices do objeto obj nas coordenadas "originais", no
+     * formato { posicoes: [x0, y0, ...], cores: [r0, g0, b0, a0, ...] }. As
+     * transformações são aplicadas no vertex shader (ver matriz).
+     * Este método deve ser sobrescrito nas subclasses.
+     */
+    static dados() {}
+
+    // Se true, a classe desenha traços e dados() também retorna os deslocamentos dos
+    // vértices até a borda do traço (ver Line.dados)
+    static tem_traco = false;
+
+    /**
+     * Prepara os objetos para o desenho, na ordem em que serão desenhados. Os buffers
+     * de vértices só são recarregados se a lista de objetos, a ordem ou a versão de
+     * algum deles mudou. Já as matrizes (pequenas) são enviadas sempre, então mover,
+     * girar ou escalar um objeto não exige recarregar a geometria
+     */
+    static prepara(objetos) {
+        if (this.geometria_mudou(objetos)) {
+            this.envia_geometria(objetos);
+        }
+        this.envia_matrizes(objetos);
+    }
+
+    static geometria_mudou(objetos) {
+        return this.enviados == undefined
+            || objetos.length != this.enviados.length
+            || objetos.some((obj, i) => obj != this.enviados[i] || obj.versao != this.versoes[i]);
+    }
+
+    /**
+     * Carrega os buffers com os vértices de todos os objetos. Cada objeto ocupa uma
+     * faixa contínua [primeiro vértice, número de vértices] dos buffers, guardada em
+     * this.faixas, e seus vértices levam seu índice na lista (a_obj). Classes com traço
+     * (ver tem_traco) também carregam os deslocamentos.
+     * Os arrays são alocados com o total de vértices e preenchidos com set(): um
+     * push(...dados) estoura a pilha quando um objeto tem muitos vértices
+     */
+    static envia_geometria(objetos) {
+        const todos_dados = objetos.map(obj => this.dados(obj));
+        const total = todos_dados.reduce((soma, d) => soma + d.posicoes.length / 2, 0);
+
+        const jsarr_position = new Float32Array(total * 2);
+        const jsarr_color = new Uint8Array(total * 4);
+        const jsarr_obj = new Int32Array(total);
+        const jsarr_deslocamento = new Float32Array(this.tem_traco ? total * 2 : 0);
+        this.faixas = new Map();
+
+        let primeiro = 0;
+        objetos.forEach((obj, i) => {
+            const { posicoes, cores, deslocamentos } = todos_dados[i];
+            const n = posicoes.length / 2;
+
+            this.faixas.set(obj, [ primeiro, n ]);
+            jsarr_position.set(posicoes, primeiro * 2);
+            jsarr_color.set(cores, primeiro * 4);
+            jsarr_obj.fill(i, primeiro, primeiro + n);
+            if (this.tem_traco) jsarr_deslocamento.set(deslocamentos, primeiro * 2);
+            primeiro += n;
+        });
+
+        // a_deslocamento
+        if (this.tem_traco) {
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.a_deslocamento_buf);
+            this.gl.bufferData(this.gl.ARRAY_BUFFER, jsarr_deslocamento, this.gl.STATIC_DRAW);
+        }
+
+        // a_position
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.a_position_buf);
+        this.gl.bufferData(this.gl.ARRAY_BUFFER, jsarr_position, this.gl.STATIC_DRAW);
+
+        // a_color
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.a_color_buf);
+        this.gl.bufferData(this.gl.ARRAY_BUFFER, jsarr_color, this.gl.STATIC_DRAW);
+
+        // a_obj
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.a_obj_buf);
+        this.gl.bufferData(this.gl.ARRAY_BUFFER, jsarr_obj, this.gl.STATIC_DRAW);
+
+        this.enviados = objetos.slice();
+        this.versoes = objetos.map(obj => obj.versao);
+    }
+
+    /**
+     * Carrega a textura de matrizes. Cada objeto ocupa 2 texels RGBA32F com as linhas
+     * (a, b, tx) e (c, d, ty) da matriz, com 1024 objetos por linha da textura (ver
+     * matriz_do_objeto no vertex shader)
+     */
+    static envia_matrizes(objetos) {
+        const por_linha = 1024;
+        const linhas = Math.max(1, Math.ceil(objetos.length / por_linha));
+        const dados = new Float32Array(linhas * por_linha * 2 * 4);
+
+        objetos.forEach((obj, i) => {
+            const [ a, b, tx, c, d, ty ] = obj.matriz();
+            dados.set([ a, b, tx, 0, c, d, ty, 0 ], i * 8);
+        });
+
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.textura_matrizes);
+        this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA32F, 2 * por_linha, linhas, 0,
+            this.gl.RGBA, this.gl.FLOAT, dados);
+    }
+
+    /**
+     * Desenha os objetos, que devem ser uma sequência contínua dos objetos passados para
+     * prepara() (ver desenha_em_ordem). Se não forem, prepara apenas eles
+     */
+    static draw(f_extra, objetos = this.list) {
+        if (this.faixas == undefined || objetos.some(obj => !this.faixas.has(obj))) {
+            this.prepara(objetos);
+        }
+
+        super.draw(f_extra);
+        if (objetos.length == 0) return;
+
+        this.desenha_faixas(objetos);
+    }
+
+    /**
+     * Desenha os vértices dos objetos com uma única chamada, da faixa do primeiro até a
+     * do último (ver envia_geometria). Nos modos em sequência (LINE_STRIP e
+     * TRIANGLE_FAN), o último vértice de um objeto ficaria ligado ao primeiro do
+     * seguinte, então cada objeto é desenhado separadamente
+     */
+    static desenha_faixas(objetos) {
+        if (this.modo == "LINE_STRIP" || this.modo == "TRIANGLE_FAN") {
+            for (const obj of objetos) {
+                const [ primeiro, n ] = this.faixas.get(obj);
+                this.gl.drawArrays(this.gl[this.modo], primeiro, n);
+            }
+            return;
+        }
+
+        const [ primeiro ] = this.faixas.get(objetos[0]);
+        const [ ultimo, n ] = this.faixas.get(objetos[objetos.length-1]);
+        this.gl.drawArrays(this.gl[this.modo], primeiro, ultimo + n - primeiro);
     }
 
     /* Toda instância de uma primitiva precisa de um método delete() (igual em todas) */
     delete() {
+        // O objeto pode já ter sido removido da lista (ex: ao desfazer sua criação)
         const index = this.constructor.list.indexOf(this);
+        if (index == -1) return;
         this.constructor.list.splice(index, 1);
+        Primitive.alteracoes++;
+    }
+
+    /** Marca a geometria "original" ou a cor como alterada */
+    altera_geometria() {
+        this.versao++;
+        Primitive.alteracoes++;
     }
 
     /* Toda instância de uma primitiva precisa do método que seta sua cor */
     set_color(r, g, b, a) {
         this.color = [r, g, b, a];
+        this.altera_geometria();
+    }
+
+    /*
+     * Só linhas têm traço (ver Line.set_traco), só polígonos têm contorno e só pontos
+     * têm marcador
+     */
+    set_traco() {}
+    set_contorno() {}
+    set_marcador() {}
+
+    /* Seta a posição na ordem de empilhamento (ex: ao abrir um arquivo) */
+    set_z(z) {
+        this.z = z;
+        Primitive.proximo_z = Math.max(Primitive.proximo_z, z + 1);
+        Primitive.alteracoes++;
     }
 
     /**
-     * Verifica se determinado ponto (xm, ym) seleciona algum dos objetos.
+     * Verifica se determinado ponto (xm, ym) seleciona algum dos objetos desta classe.
      * Retorna a referência do objeto caso selecione e undefined caso contrário.
      * Os objetos são testados na ordem do último para o primeiro para que somente o
-     * mais à frente (mais recente) seja selecionado.
+     * mais à frente (mais recente) seja selecionado. Para o pick entre classes
+     * diferentes, respeitando a ordem de empilhamento, ver pick_objeto().
+     */
+    static pick(xm, ym) {
+        return this.list.slice().reverse().find(obj => obj.contem(xm, ym));
+    }
+
+    /**
+     * Verifica se o ponto (xm, ym) seleciona este objeto.
+     * Este método deve ser sobrescrito nas subclasses.
+     */
+    contem() {}
+
+    /*
+     * Transformações. Toda primitiva guarda suas coordenadas "originais" e o estado das
+     * transformações (translação, rotação, escala e pivô). As coordenadas atuais, usadas
+     * no desenho e no pick, são calculadas a partir delas em transform().
+     * O pivô fica nas coordenadas originais e, se não for definido, é o centro do objeto.
+     * centro(), transform() e bake_vertices() devem ser sobrescritos nas subclasses.
+     */
+    centro() {}
+    transform() {}
+    bake_vertices() {}
+
+    /**
+     * Matriz afim das transformações, p' = pivô + escala * R * (p - pivô) + (dx, dy), no
+     * formato [a, b, tx, c, d, ty] (as duas primeiras linhas da matriz 3x3). É a mesma
+     * matriz usada no vertex shader
+     */
+    matriz() {
+        const [ px, py ] = this.pivo_orig();
+        const theta = this.rotation * Math.PI / 180;
+        const cos = this.escala * Math.cos(theta);
+        const sin = this.escala * Math.sin(theta);
+
+        return [
+            cos, -sin, px + this.dx - (cos * px - sin * py),
+            sin,  cos, py + this.dy - (sin * px + cos * py),
+        ];
+    }
+
+    /** Aplica as transformações no ponto (x, y) das coordenadas originais */
+    transforma_ponto(x, y, m = this.matriz()) {
+        const [ a, b, tx, c, d, ty ] = m;
+        return [ a * x + b * y + tx, c * x + d * y + ty ];
+    }
+
+    /** Inverso de transforma_ponto(): leva o ponto (x, y) do canvas para as coordenadas originais */
+    to_orig(x, y) {
+        const [ px, py ] = this.pivo_orig();
+        const xr = px + (x - this.dx - px) / this.escala;
+        const yr = py + (y - this.dy - py) / this.escala;
+
+        return rotaciona_ponto(xr, yr, -this.rotation, px, py);
+    }
+
+    // Pivô nas coordenadas originais
+    pivo_orig() {
+        return this.pivo ?? this.centro();
+    }
+
+    // Pivô nas coordenadas do canvas (a rotação e a escala não o movem)
+    get_pivo() {
+        const [ px, py ] = this.pivo_orig();
+        return [ px + this.dx, py + this.dy ];
+    }
+
+    /**
+     * Define o pivô da rotação e da escala no ponto (x, y) do canvas, ou no centro do
+     * objeto se (x, y) não for passado. A translação é compensada para que o objeto não
+     * saia do lugar
+     */
+    set_pivo(x, y) {
+        const [ px, py ] = this.pivo_orig();
+        this.pivo = x == undefined ? undefined : this.to_orig(x, y);
+        this.compensa_pivo(px, py);
+    }
+
+    /**
+     * Compensa a translação depois que o pivô saiu de (px, py), nas coordenadas
+     * originais, para que o objeto não saia do lugar. O pivô muda com set_pivo() e,
+     * quando é o centro do objeto, também quando as coordenadas originais mudam
+     */
+    compensa_pivo(px, py) {
+        const [ nx, ny ] = this.pivo_orig();
+
+        // (dx, dy) += (I - escala * R) * (pivô antigo - pivô novo)
+        const [ rx, ry ] = rotaciona_ponto(px - nx, py - ny, this.rotation, 0, 0);
+        this.dx += (px - nx) - this.escala * rx;
+        this.dy += (py - ny) - this.escala * ry;
+        this.transform();
+    }
+
+    translate(dx, dy) {
+        this.dx += dx;
+        this.dy += dy;
+        this.transform();
+    }
+
+    set_rotation(graus) {
+        this.rotation = graus;
+        Primitive.alteracoes++;
+    }
+
+    set_scale(fator) {
+        this.escala = fator;
+        Primitive.alteracoes++;
+    }
+
+    /**
+     * Rotaciona o objeto em torno de (xp, yp) do canvas: o pivô gira em torno de (xp, yp)
+     * (virando translação) e o ângulo é somado à rotação do objeto
+     */
+    rotate_about(graus, xp, yp) {
+        const [ px, py ] = this.pivo_orig();
+        const [ xn, yn ] = rotaciona_ponto(px + this.dx, py + this.dy, graus, xp, yp);
+
+        this.dx = xn - px;
+        this.dy = yn - py;
+        this.set_rotation(normaliza_angulo(this.rotation + graus));
+        this.transform();
+    }
+
+    // Escala o objeto em relação a (xp, yp) do canvas, da mesma forma que rotate_about
+    scale_about(fator, xp, yp) {
+        const [ px, py ] = this.pivo_orig();
+
+        this.dx = xp + fator * (px + this.dx - xp) - px;
+        this.dy = yp + fator * (py + this.dy - yp) - py;
+        this.set_scale(this.escala * fator);
+        this.transform();
+    }
+
+    /**
+     * Incorpora as transformações atuais nas coordenadas originais, passando antes cada
+     * vértice (e o pivô) por f(x, y), e zera as transformações. Usado no espelhamento,
+     * que não pode ser representado com rotação e escala
+     */
+    bake_transform(f = (x, y) => [ x, y ]) {
+        const pivo = this.pivo == undefined ? undefined : f(...this.get_pivo());
+
+        this.bake_vertices(f);
+        this.dx = 0;
+        this.dy = 0;
+        this.rotation = 0;
+        this.escala = 1;
+        this.pivo = pivo;
+        this.transform();
+    }
+
+    // Espelha em relação à reta que passa por (rx1, ry1) e (rx2, ry2)
+    mirror(rx1, ry1, rx2, ry2) {
+        this.bake_transform((x, y) => espelha_ponto(x, y, rx1, ry1, rx2, ry2));
+    }
+
+    /** Estado das transformações no formato do to_json() */
+    transform_to_json() {
+        return {
+            "rotacao": this.rotation,
+            "escala": this.escala,
+            "translacao": [ this.dx, this.dy ],
+            "pivo": this.pivo == undefined ? null : this.pivo.slice(),
+        };
+    }
+
+    // Os campos ausentes (arquivos de versões anteriores) ficam com o valor padrão
+    set_transform_json(json) {
+        this.set_rotation(json.rotacao ?? 0);
+        this.set_scale(json.escala ?? 1);
+        [ this.dx, this.dy ] = json.translacao ?? [ 0, 0 ];
+        this.pivo = json.pivo == undefined ? undefined : json.pivo.slice();
+    }
+
+    /**
+     * Retorna um objeto simples (serializável em JSON) com o tipo, a geometria, a cor e
+     * o estado das transformações do objeto. set_json() faz o caminho inverso no próprio
+     * objeto e from_json() cria uma instância nova (ver cena.js para o formato do
+     * documento completo).
+     * Estes métodos devem ser sobrescritos nas subclasses.
+     */
+    to_json() {}
+    set_json() {}
+    static from_json() {}
+
+    /**
+     * Retorna o elemento SVG (como texto) que desenha o objeto com suas coordenadas
+     * atuais (já transformadas). Ver exporta_svg() em cena.js.
      * Este método deve ser sobrescrito nas subclasses.
      */
-    static pick() {}
+    to_svg() {}
 }
 
 class Point extends Primitive {
     static list = [];
+    static modo = "POINTS";
 
-    static get_uniforms() {
-        super.get_uniforms();
-        this.u_pointsize = this.gl.getUniformLocation(this.program, "u_pointsize");
+    /* Além dos atributos comuns, cada ponto tem o tamanho e a forma do seu marcador */
+    static get_atributos() {
+        super.get_atributos();
+        this.a_tamanho = this.gl.getAttribLocation(this.program, "a_tamanho");
+        this.a_forma = this.gl.getAttribLocation(this.program, "a_forma");
     }
 
-    static set_uniforms() {
-        super.set_uniforms();
-        this.gl.uniform1f(this.u_pointsize, 3);
+    static init_vao_e_buffers() {
+        super.init_vao_e_buffers();
+
+        // a_tamanho
+        console.assert(this.a_tamanho != null, "atributo a_tamanho não foi setado");
+        this.a_tamanho_buf = this.gl.createBuffer();
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.a_tamanho_buf);
+        this.gl.enableVertexAttribArray(this.a_tamanho);
+        this.gl.vertexAttribPointer(this.a_tamanho, 1, this.gl.FLOAT, false, 0, 0);
+
+        // a_forma
+        console.assert(this.a_forma != null, "atributo a_forma não foi setado");
+        this.a_forma_buf = this.gl.createBuffer();
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.a_forma_buf);
+        this.gl.enableVertexAttribArray(this.a_forma);
+        this.gl.vertexAttribPointer(this.a_forma, 1, this.gl.FLOAT, false, 0, 0);
     }
 
-    static draw(f_extra) {
-        super.draw(f_extra);
+    static dados(p) {
+        return { posicoes: [ p.x_orig, p.y_orig ], cores: p.color };
+    }
 
-        // Carrega buffer de posições com os vértices de todos os pontos
-        // a_position
-        const position_data = Array(2 * this.list.length);
-        for (let i = 0; i < this.list.length; i++) {
-            const p = this.list[i];
-            position_data[i*2+0] = p.x;
-            position_data[i*2+1] = p.y;
-        }
-        const arr_position = new Float32Array(position_data);
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.a_position_buf);
-        this.gl.bufferData(this.gl.ARRAY_BUFFER, arr_position, this.gl.STATIC_DRAW);
+    // Cada ponto é um vértice, então os marcadores seguem a ordem dos objetos
+    static envia_geometria(objetos) {
+        super.envia_geometria(objetos);
 
-        // Carrega buffer de cores com a cor de todos os pontos
-        // a_color
-        const color_data = Array(4 * this.list.length);
-        for (let i = 0; i < this.list.length; i++) {
-            const p = this.list[i];
-            color_data[i*4+0] = p.color[0];
-            color_data[i*4+1] = p.color[1];
-            color_data[i*4+2] = p.color[2];
-            color_data[i*4+3] = p.color[3];
-        }
-        const arr_color = new Uint8Array(color_data);
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.a_color_buf);
-        this.gl.bufferData(this.gl.ARRAY_BUFFER, arr_color, this.gl.STATIC_DRAW);
+        // a_tamanho
+        const tamanhos = objetos.map(p => p.tamanho);
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.a_tamanho_buf);
+        this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array(tamanhos), this.gl.STATIC_DRAW);
 
-        // Desenha todos os pontos
-        this.gl.drawArrays(this.gl.POINTS, 0, this.list.length);
+        // a_forma
+        const formas = objetos.map(p => FORMAS_PONTO.indexOf(p.forma));
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.a_forma_buf);
+        this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array(formas), this.gl.STATIC_DRAW);
     }
 
-    static pick(xm, ym) {
-        for (const p of this.list.slice().reverse()) {
-            if (
-                xm > p.x - this.tol
-                && xm < p.x + this.tol
-                && ym > p.y - this.tol
-                && ym < p.y + this.tol
-            ) {
-                return p;
-            }
-        }
-        return;
+    // A tolerância de pick cresce com o marcador, que tem o mesmo tamanho na tela em
+    // qualquer zoom
+    contem(xm, ym) {
+        const tol = Math.max(this.constructor.tol, this.tamanho / 2 / Primitive.zoom);
+        return xm > this.x - tol
+            && xm < this.x + tol
+            && ym > this.y - tol
+            && ym < this.y + tol;
     }
 
     constructor(x, y) {
         super();
 
-        this.x = x;
-        this.y = y;
+        // Coordenadas "originais" são usadas para calcular transformações
+        this.x = this.x_orig = x;
+        this.y = this.y_orig = y;
+
+        // Marcador: tamanho em pixels da tela (não muda com o zoom nem com a escala) e
+        // forma (ver FORMAS_PONTO)
+        this.tamanho = 3;
+        this.forma = "quadrado";
 
         this.constructor.list.push(this);
     }
 
+    set_marcador(tamanho, forma) {
+        this.tamanho = tamanho;
+        this.forma = forma;
+        this.altera_geometria();
+    }
+
     set_position(x, y) {
-        this.x = x;
-        this.y = y;
+        this.x = this.x_orig = x;
+        this.y = this.y_orig = y;
+        this.altera_geometria();
     }
 
-    translate(dx, dy) {
-        this.set_position(this.x + dx, this.y + dy);
+    boundingbox() {
+        return { 'xc': this.x, 'yc': this.y, 'w': 0, 'h': 0 };
     }
 
-    mirror(rx1, ry1, rx2, ry2) {
-        let [x, y] = [this.x, this.y];
+    // Sem um pivô definido, rotação e escala não mudam o ponto
+    centro() {
+        return [ this.x_orig, this.y_orig ];
+    }
+
+    transform() {
+        [ this.x, this.y ] = this.transforma_ponto(this.x_orig, this.y_orig);
+        Primitive.alteracoes++;
+    }
 
-        // Translada (-rx1, -ry1)
-        x -= rx1;
-        y -= ry1;
+    bake_vertices(f) {
+        this.set_position(...f(this.x, this.y));
+    }
 
-        // Encontra ângulo entre a reta e o eixo Ox
-        const theta = Math.atan2(ry2-ry1, rx2-rx1);
+    to_json() {
+        return {
+            "tipo": "ponto",
+            "x": this.x_orig,
+            "y": this.y_orig,
+            "cor": this.color.slice(),
+            "tamanho": this.tamanho,
+            "forma": this.forma,
+            "z": this.z,
+            ...this.transform_to_json(),
+        };
+    }
 
-        // Rotaciona pontos de -theta
-        let cos = Math.cos(-theta);
-        let sin = Math.sin(-theta);
+    set_json(json) {
+        this.set_position(json.x, json.y);
+        this.set_color(...json.cor);
+        this.set_marcador(json.tamanho ?? 3, json.forma ?? "quadrado");
+        if (json.z != undefined) this.set_z(json.z);
+        this.set_transform_json(json);
+        this.transform();
+    }
 
-        let tmp_x = x * cos - y * sin;
-        let tmp_y = x * sin + y * cos;
+    static from_json(json) {
+        const p = new Point(json.x, json.y);
+        p.set_json(json);
+        return p;
+    }
 
-        // Espelha em relação ao eixo Ox
-        tmp_y = -tmp_y;
+    // O marcador é centrado em (x, y), com o mesmo desenho do fragment shader
+    to_svg() {
+        const [ x, y, r ] = [ this.x, this.y, this.tamanho / 2 ];
+        const cor = cor_svg("fill", this.color);
 
-        // Rotaciona pontos de +theta
-        cos = Math.cos(theta);
-        sin = Math.sin(theta);
+        switch (this.forma) {
+            case "circulo":
+                return `<circle cx="${num_svg(x)}" cy="${num_svg(y)}" r="${num_svg(r)}" ${cor}/>`;
 
-        x = tmp_x * cos - tmp_y * sin;
-        y = tmp_x * sin + tmp_y * cos;
+            case "losango": {
+                const pontos = [ [ x, y-r ], [ x+r, y ], [ x, y+r ], [ x-r, y ] ];
+                const coords = pontos.map(([ px, py ]) => `${num_svg(px)},${num_svg(py)}`);
+                return `<polygon points="${coords.join(" ")}" ${cor}/>`;
+            }
 
-        // Translada (+rx1, +ry1)
-        x += rx1;
-        y += ry1;
+            // Dois retângulos, com braços de 1/5 do tamanho (pelo menos 1px)
+            case "cruz": {
+                const b = Math.max(this.tamanho / 10, 0.5);
+                const d = `M ${num_svg(x-r)} ${num_svg(y-b)} H ${num_svg(x+r)} V ${num_svg(y+b)} `
+                    + `H ${num_svg(x-r)} Z M ${num_svg(x-b)} ${num_svg(y-r)} H ${num_svg(x+b)} `
+                    + `V ${num_svg(y+r)} H ${num_svg(x-b)} Z`;
+                return `<path d="${d}" ${cor}/>`;
+            }
 
-        // Seta posição
-        this.set_position(x, y);
+            default:
+                return `<rect x="${num_svg(x - r)}" y="${num_svg(y - r)}" `
+                    + `width="${num_svg(this.tamanho)}" height="${num_svg(this.tamanho)}" ${cor}/>`;
+        }
     }
 }
 
 class Line extends Primitive {
     static list = [];
+    static modo = "TRIANGLES";
+    static tem_traco = true;
 
     // Codificações para pick de linha
     static codificacao = [ 0b1000, 0b0100, 0b0010, 0b0001 ]; // left, right, down, up
 
-    static draw(f_extra) {
-        super.draw(f_extra);
-
-        // Carrega o buffer de posições com os vértices de todas as linhas
-        // a_position
-        const position_data = Array(2 * 2 * this.list.length);
-        for (let i = 0; i < this.list.length; i++) {
-            const l = this.list[i];
-            position_data[i*4+0] = l.x1;
-            position_data[i*4+1] = l.y1;
-            position_data[i*4+2] = l.x2;
-            position_data[i*4+3] = l.y2;
-        }
-        const arr_position = new Float32Array(position_data);
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.a_position_buf);
-        this.gl.bufferData(this.gl.ARRAY_BUFFER, arr_position, this.gl.STATIC_DRAW);
+    // Número de triângulos de cada ponta redonda (um semicírculo)
+    static segmentos_ponta = 8;
 
-        // Carrega o buffer de cores com as cores de todas as linhas
-        // a_color
-        const color_data = Array(2 * 4 * this.list.length);
-        for (let i = 0; i < this.list.length; i++) {
-            const p = this.list[i];
-            color_data[i*8+0] = p.color[0];
-            color_data[i*8+1] = p.color[1];
-            color_data[i*8+2] = p.color[2];
-            color_data[i*8+3] = p.color[3];
-            color_data[i*8+4] = p.color[0];
-            color_data[i*8+5] = p.color[1];
-            color_data[i*8+6] = p.color[2];
-            color_data[i*8+7] = p.color[3];
-        }
-        const arr_color = new Uint8Array(color_data);
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.a_color_buf);
-        this.gl.bufferData(this.gl.ARRAY_BUFFER, arr_color, this.gl.STATIC_DRAW);
+    // Número máximo de vértices de uma linha tracejada. Acima dele (ex: um padrão muito
+    // curto numa linha muito longa), a linha é desenhada contínua
+    static max_vertices_traco = 60000;
 
-        // Desenha todos as linhas
-        this.gl.drawArrays(this.gl.LINES, 0, 2 * this.list.length);
+    // Vértices de cada trecho contínuo: o retângulo e, se redondas, as duas pontas
+    vertices_por_trecho() {
+        const segmentos = this.constructor.segmentos_ponta;
+        return 6 + (this.extremidade == "redonda" ? 2 * 3 * segmentos : 0);
     }
 
-    static pick(xm, ym, ignore_list) {
-        const tol = this.tol;
-        const [ left, right, down, up ] = this.codificacao;
+    /**
+     * O traço é desenhado com triângulos (gl.lineWidth não é suportado na maioria das
+     * implementações): cada trecho contínuo da linha (ver trechos) vira um retângulo,
+     * mais as pontas. Os vértices ficam sobre a linha e a_deslocamento leva cada um até
+     * a borda do traço, o que permite ao shader manter a largura mínima de 1 pixel
+     */
+    static dados(l) {
+        const [ x1, y1, x2, y2 ] = [ l.x1_orig, l.y1_orig, l.x2_orig, l.y2_orig ];
+        const comprimento = Math.hypot(x2 - x1, y2 - y1);
+
+        // Direção da linha (u) e normal (n), ambas com o tamanho de meia largura. Linhas
+        // finas (ver set_fina) têm largura "zero", mas precisam de uma direção
+        const meia_largura = Math.max(l.largura, 1e-6) / 2;
+        const [ ux, uy ] = comprimento == 0
+            ? [ meia_largura, 0 ]
+            : [ meia_largura * (x2 - x1) / comprimento, meia_largura * (y2 - y1) / comprimento ];
+        const [ nx, ny ] = [ -uy, ux ];
+
+        const posicoes = [];
+        const deslocamentos = [];
+        const vertice = (x, y, dx, dy) => {
+            posicoes.push(x, y);
+            deslocamentos.push(dx, dy);
+        };
+
+        // Semicírculo em torno de (x, y), do lado da direção (sx, sy)
+        const ponta_redonda = (x, y, sx, sy) => {
+            const borda = (a) => [
+                nx * Math.cos(a) + sx * Math.sin(a),
+                ny * Math.cos(a) + sy * Math.sin(a),
+            ];
+            const segmentos = this.segmentos_ponta;
+            for (let k = 0; k < segmentos; k++) {
+                vertice(x, y, 0, 0);
+                vertice(x, y, ...borda(Math.PI * k / segmentos));
+                vertice(x, y, ...borda(Math.PI * (k+1) / segmentos));
+            }
+        };
+
+        // Ponto da linha a uma distância t de (x1, y1)
+        const ponto = (t) => comprimento == 0
+            ? [ x1, y1 ]
+            : [ x1 + (x2 - x1) * t / comprimento, y1 + (y2 - y1) * t / comprimento ];
+
+        for (const [ t0, t1 ] of l.trechos()) {
+            const [ ax, ay ] = ponto(t0);
+            const [ bx, by ] = ponto(t1);
+
+            // Pontas quadradas estendem o retângulo em meia largura
+            const [ ex, ey ] = l.extremidade == "quadrada" ? [ ux, uy ] : [ 0, 0 ];
+
+            // Retângulo do trecho (2 triângulos)
+            vertice(ax, ay, nx - ex, ny - ey);
+            vertice(ax, ay, -nx - ex, -ny - ey);
+            vertice(bx, by, nx + ex, ny + ey);
+            vertice(bx, by, nx + ex, ny + ey);
+            vertice(ax, ay, -nx - ex, -ny - ey);
+            vertice(bx, by, -nx + ex, -ny + ey);
+
+            if (l.extremidade == "redonda") {
+                ponta_redonda(ax, ay, -ux, -uy);
+                ponta_redonda(bx, by, ux, uy);
+            }
+        }
 
-        forpickline: for (const l of this.list.slice().reverse()) {
-            let [ x1, y1, x2, y2 ] = [ l.x1, l.y1, l.x2, l.y2 ];
+        const n = posicoes.length / 2;
+        return { posicoes, deslocamentos, cores: Array(n).fill(l.color).flat() };
+    }
 
+    static pick(xm, ym, ignore_list) {
+        return this.list.slice().reverse().find(l => {
             // Pula linhas da ignore_list
-            if (ignore_list && ignore_list.includes(l)) continue;
-
-            // y - y0 = m * (x - x0)
-            const m = (y2 - y1) / (x2 - x1);
-
-            // Laço de teste movendo p1 pelas fronteiras, caso necessário
-            const code_p2 = this.encode(x2, y2, xm, ym);
-            while (true) {
-                const code_p1 = this.encode(x1, y1, xm, ym);
-
-                // Um dos pontos extremos coincide com (xm, ym)
-                if (code_p1 == 0b0000 || code_p2 == 0b0000) { return l; }
-
-                // Casos impossíveis de cruzar com o retângulo de tolerância
-                if ((code_p1 & code_p2) != 0b0000) { continue forpickline; }
-
-                // Não caiu num caso trivial? Move p1 para a próxima fronteira
-                if (code_p1 & left) {
-                    y1 += m * (xm - tol - x1);
-                    x1 = xm - tol;
-                } else if (code_p1 & right) {
-                    y1 += m * (xm + tol - x1);
-                    x1 = xm + tol;
-                } else if (code_p1 & down) {
-                    x1 += (1/m) * (ym - tol - y1);
-                    y1 = ym - tol;
-                } else if (code_p1 & up) {
-                    x1 += (1/m) * (ym + tol - y1);
-                    y1 = ym + tol;
-                } else {
-                    return l;
-                }
+            if (ignore_list && ignore_list.includes(l)) return false;
+            return l.contem(xm, ym);
+        });
+    }
+
+    contem(xm, ym) {
+        // A tolerância inclui a metade da largura visível do traço (ver o vertex shader)
+        const largura_visivel = Math.max(this.largura * this.escala, 1 / Primitive.zoom);
+        const tol = this.constructor.tol + largura_visivel / 2;
+        const [ left, right, down, up ] = this.constructor.codificacao;
+
+        let [ x1, y1, x2, y2 ] = [ this.x1, this.y1, this.x2, this.y2 ];
+
+        // y - y0 = m * (x - x0)
+        const m = (y2 - y1) / (x2 - x1);
+
+        // Laço de teste movendo p1 pelas fronteiras, caso necessário
+        const code_p2 = this.constructor.encode(x2, y2, xm, ym, tol);
+        while (true) {
+            const code_p1 = this.constructor.encode(x1, y1, xm, ym, tol);
+
+            // Um dos pontos extremos coincide com (xm, ym)
+            if (code_p1 == 0b0000 || code_p2 == 0b0000) { return true; }
+
+            // Casos impossíveis de cruzar com o retângulo de tolerância
+            if ((code_p1 & code_p2) != 0b0000) { return false; }
+
+            // Não caiu num caso trivial? Move p1 para a próxima fronteira
+            if (code_p1 & left) {
+                y1 += m * (xm - tol - x1);
+                x1 = xm - tol;
+            } else if (code_p1 & right) {
+                y1 += m * (xm + tol - x1);
+                x1 = xm + tol;
+            } else if (code_p1 & down) {
+                x1 += (1/m) * (ym - tol - y1);
+                y1 = ym - tol;
+            } else if (code_p1 & up) {
+                x1 += (1/m) * (ym + tol - y1);
+                y1 = ym + tol;
+            } else {
+                return true;
             }
         }
-        return;
     }
 
-    /** Método que retorna a codificação do ponto (x, y) em relação ao ponto (xm, ym) */
-    static encode(x, y, xm, ym) {
+    /**
+     * Método que retorna a codificação do ponto (x, y) em relação ao quadrado de
+     * tolerância em torno do ponto (xm, ym)
+     */
+    static encode(x, y, xm, ym, tol = this.tol) {
         const [ left, right, down, up ] = this.codificacao;
-        const tol = this.tol;
 
         let codigo = 0;
 
@@ -399,19 +934,67 @@ class Line extends Primitive {
         this.x2 = this.x2_orig = x2;
         this.y2 = this.y2_orig = y2;
 
-        this.rotation = 0;
-        this.escala = 1;
-        this.dx = 0;
-        this.dy = 0;
+        // Traço: largura (nas coordenadas "originais", então também muda com a escala),
+        // extremidades ("reta", "redonda" ou "quadrada") e padrão de tracejado, uma
+        // lista com os comprimentos dos traços e dos espaços (vazia = linha contínua)
+        this.largura = 1;
+        this.extremidade = "reta";
+        this.tracejado = [];
 
         this.constructor.list.push(this);
     }
 
+    set_traco(largura, extremidade, tracejado) {
+        this.largura = largura;
+        this.extremidade = extremidade;
+        this.tracejado = tracejado.slice();
+        this.altera_geometria();
+    }
+
+    /**
+     * Linha fina, com 1 pixel da tela em qualquer zoom, usada nos objetos auxiliares
+     * (hoverbox, marcadores, fecho convexo, etc)
+     */
+    set_fina() {
+        this.set_traco(0, "reta", []);
+    }
+
+    /**
+     * Retorna os trechos desenhados da linha como [início, fim], em distâncias a partir
+     * de (x1, y1) nas coordenadas "originais". Como no SVG, um padrão de tracejado com
+     * um número ímpar de comprimentos é repetido duas vezes
+     */
+    trechos() {
+        const comprimento = Math.hypot(this.x2_orig - this.x1_orig, this.y2_orig - this.y1_orig);
+        const padrao = this.tracejado.length % 2 == 0
+            ? this.tracejado
+            : [ ...this.tracejado, ...this.tracejado ];
+        const periodo = padrao.reduce((soma, v) => soma + v, 0);
+
+        if (periodo == 0) return [ [ 0, comprimento ] ];
+
+        // Cada período do padrão tem padrao.length / 2 traços
+        const n_trechos = Math.ceil(comprimento / periodo) * padrao.length / 2;
+        if (n_trechos * this.vertices_por_trecho() > Line.max_vertices_traco) {
+            return [ [ 0, comprimento ] ];
+        }
+
+        // Índices pares do padrão são traços e ímpares são espaços
+        const trechos = [];
+        for (let t = 0, i = 0; t < comprimento; t += padrao[i], i = (i+1) % padrao.length) {
+            if (i % 2 == 0) {
+                trechos.push([ t, Math.min(t + padrao[i], comprimento) ]);
+            }
+        }
+        return trechos;
+    }
+
     set_position(x1, y1, x2, y2) {
         this.x1 = this.x1_orig = x1;
         this.y1 = this.y1_orig = y1;
         this.x2 = this.x2_orig = x2;
         this.y2 = this.y2_orig = y2;
+        this.altera_geometria();
     }
 
     boundingbox() {
@@ -426,143 +1009,356 @@ class Line extends Primitive {
         }
     }
 
-    translate(dx, dy) {
-        this.dx += dx;
-        this.dy += dy;
+    centro() {
+        return [ (this.x1_orig + this.x2_orig) / 2, (this.y1_orig + this.y2_orig) / 2 ];
+    }
 
-        this.transform();
+    // Aplica escala, rotação, e translação
+    transform() {
+        [ this.x1, this.y1 ] = this.transforma_ponto(this.x1_orig, this.y1_orig);
+        [ this.x2, this.y2 ] = this.transforma_ponto(this.x2_orig, this.y2_orig);
+        Primitive.alteracoes++;
     }
 
-    set_rotation(graus) {
-        this.rotation = graus;
+    bake_vertices(f) {
+        const [ x1, y1 ] = f(this.x1, this.y1);
+        const [ x2, y2 ] = f(this.x2, this.y2);
+        this.set_position(x1, y1, x2, y2);
     }
 
-    set_scale(fator) {
-        this.escala = fator;
+    /**
+     * Move a extremidade i (0 ou 1) para o ponto (x, y) do canvas. k existe apenas para
+     * manter a mesma assinatura de Polygon.move_vertex (a linha tem um único "anel")
+     */
+    move_vertex(k, i, x, y) {
+        const [ xo, yo ] = this.to_orig(x, y);
+        if (i == 0) {
+            this.set_position(xo, yo, this.x2_orig, this.y2_orig);
+        } else {
+            this.set_position(this.x1_orig, this.y1_orig, xo, yo);
+        }
+        this.transform();
+        return true;
     }
 
-    // Aplica escala, rotação, e translação
-    transform() {
-        const xc = (this.x1_orig + this.x2_orig) / 2;
-        const yc = (this.y1_orig + this.y2_orig) / 2;
+    to_json() {
+        return {
+            "tipo": "linha",
+            "x1": this.x1_orig,
+            "y1": this.y1_orig,
+            "x2": this.x2_orig,
+            "y2": this.y2_orig,
+            "cor": this.color.slice(),
+            "largura": this.largura,
+            "extremidade": this.extremidade,
+            "tracejado": this.tracejado.slice(),
+            "z": this.z,
+            ...this.transform_to_json(),
+        };
+    }
 
-        // Rotação
-        const theta = this.rotation * Math.PI / 180;
-        const cos = Math.cos(theta).toFixed(3);
-        const sin = Math.sin(theta).toFixed(3);
-        this.x1 = xc + (this.x1_orig - xc) * cos - (this.y1_orig - yc) * sin;
-        this.y1 = yc + (this.x1_orig - xc) * sin + (this.y1_orig - yc) * cos;
-        this.x2 = xc + (this.x2_orig - xc) * cos - (this.y2_orig - yc) * sin;
-        this.y2 = yc + (this.x2_orig - xc) * sin + (this.y2_orig - yc) * cos;
-
-        // Escala
-        this.x1 = xc + this.escala * (this.x1 - xc);
-        this.y1 = yc + this.escala * (this.y1 - yc);
-        this.x2 = xc + this.escala * (this.x2 - xc);
-        this.y2 = yc + this.escala * (this.y2 - yc);
-
-        // Translação
-        this.x1 += this.dx;
-        this.y1 += this.dy;
-        this.x2 += this.dx;
-        this.y2 += this.dy;
-    }
-
-    // Espelha em relação a uma reta
-    mirror(rx1, ry1, rx2, ry2) {
-        let [x1, y1, x2, y2] = [this.x1, this.y1, this.x2, this.y2];
+    set_json(json) {
+        this.set_position(json.x1, json.y1, json.x2, json.y2);
+        this.set_color(...json.cor);
+        this.set_traco(json.largura ?? 1, json.extremidade ?? "reta", json.tracejado ?? []);
+        if (json.z != undefined) this.set_z(json.z);
+        this.set_transform_json(json);
+        this.transform();
+    }
 
-        // Translada (-rx1, -ry1)
-        x1 -= rx1; y1 -= ry1;
-        x2 -= rx1; y2 -= ry1;
+    static from_json(json) {
+        const l = new Line(json.x1, json.y1, json.x2, json.y2);
+        l.set_json(json);
+        return l;
+    }
 
-        // Encontra ângulo entre a reta e o eixo Ox
-        const theta = Math.atan2(ry2-ry1, rx2-rx1);
+    // O traço é exportado com a escala da linha, já que as coordenadas são as atuais
+    to_svg() {
+        let traco = `stroke-width="${num_svg(this.largura * this.escala)}"`;
+        if (this.extremidade != "reta") {
+            traco += ` stroke-linecap="${EXTREMIDADES_LINHA[this.extremidade]}"`;
+        }
+        if (this.tracejado.length > 0) {
+            const padrao = this.tracejado.map(v => num_svg(v * this.escala)).join(" ");
+            traco += ` stroke-dasharray="${padrao}"`;
+        }
 
-        // Rotaciona pontos de -theta
-        let cos = Math.cos(-theta);
-        let sin = Math.sin(-theta);
+        return `<line x1="${num_svg(this.x1)}" y1="${num_svg(this.y1)}" `
+            + `x2="${num_svg(this.x2)}" y2="${num_svg(this.y2)}" `
+            + `${traco} ${cor_svg("stroke", this.color)}/>`;
+    }
+}
 
-        let tmp_x1 = x1 * cos - y1 * sin;
-        let tmp_y1 = x1 * sin + y1 * cos;
-        let tmp_x2 = x2 * cos - y2 * sin;
-        let tmp_y2 = x2 * sin + y2 * cos;
+/**
+ * Polilinha: caminho aberto de segmentos ligados, desenhado clique a clique como o
+ * polígono, mas sem fechar nem preencher. É desenhada com gl.LINE_STRIP, então é
+ * sempre uma linha fina, de 1 pixel da tela, sem largura, extremidades ou tracejado.
+ * Para traços largos, use linhas (ver Line)
+ */
+class Polyline extends Primitive {
+    static list = [];
+    static modo = "LINE_STRIP";
 
-        // Espelha em relação ao eixo Ox
-        tmp_y1 = -tmp_y1;
-        tmp_y2 = -tmp_y2;
+    // Cada polilinha é desenhada separadamente (ver Primitive.desenha_faixas)
+    static dados(p) {
+        const posicoes = p.orig_vertices.flatMap(v => [ v.x, v.y ]);
+        return { posicoes, cores: Array(posicoes.length / 2).fill(p.color).flat() };
+    }
 
-        // Rotaciona pontos de +theta
-        cos = Math.cos(theta);
-        sin = Math.sin(theta);
+    // Seleciona se (xm, ym) estiver perto de algum dos segmentos
+    contem(xm, ym) {
+        const tol = this.constructor.tol;
+        return this.vertices.some((p, i) => {
+            const q = this.vertices[i+1];
+            return q != undefined && distancia_segmento(xm, ym, p.x, p.y, q.x, q.y)[0] < tol;
+        });
+    }
 
-        x1 = tmp_x1 * cos - tmp_y1 * sin;
-        y1 = tmp_x1 * sin + tmp_y1 * cos;
-        x2 = tmp_x2 * cos - tmp_y2 * sin;
-        y2 = tmp_x2 * sin + tmp_y2 * cos;
+    constructor() {
+        super();
 
-        // Translada (+rx1, +ry1)
-        x1 += rx1; y1 += ry1;
-        x2 += rx1; y2 += ry1;
+        // Vértices "originais" e atuais (transformados), como listas de pontos { x, y }
+        // na ordem em que foram clicados
+        this.orig_vertices = [];
+        this.vertices = [];
 
-        // Seta posição
-        this.set_position(x1, y1, x2, y2);
+        this.constructor.list.push(this);
+    }
 
-        // Reseta transformações -- Sem resetar, ele aplica as transformações "de novo"
-        // porque o espelhamento funciona como um tipo de translação
-        this.rotation = 0;
-        this.escala = 1;
-        this.dx = 0;
-        this.dy = 0;
+    // Define os vértices "originais" a partir de uma lista [[x0, y0], [x1, y1], ...]
+    set_vertices(coords) {
+        this.orig_vertices = coords.map(([ x, y ]) => ({ x, y }));
+        this.vertices = coords.map(([ x, y ]) => ({ x, y }));
+        this.altera_geometria();
+        this.transform();
+    }
+
+    /*
+     * Desenho clique a clique (ver click_handler). Assim como no polígono, o último
+     * vértice segue o mouse (ver update_last_vertex)
+     */
+    add_vertex(x, y) {
+        this.set_vertices([ ...this.orig_vertices.map(v => [ v.x, v.y ]), [ x, y ] ]);
+    }
+
+    update_last_vertex(x, y) {
+        const coords = this.orig_vertices.map(v => [ v.x, v.y ]);
+        coords[coords.length-1] = [ x, y ];
+        this.set_vertices(coords);
+    }
+
+    /**
+     * Finaliza o desenho da polilinha. Se remove_last for true, remove o último vértice
+     * (o que segue o mouse). Vértices repetidos em sequência são descartados. Retorna
+     * false se sobrar menos do que 2 vértices, ou seja, se não houver nenhum segmento
+     */
+    finish(remove_last) {
+        const coords = this.orig_vertices.map(v => [ v.x, v.y ]);
+        if (remove_last) {
+            coords.pop();
+        }
+
+        this.set_vertices(coords.filter(([ x, y ], i) =>
+            i == 0 || x != coords[i-1][0] || y != coords[i-1][1]));
+        return this.orig_vertices.length >= 2;
+    }
+
+    boundingbox() {
+        const xs = this.vertices.map(p => p.x);
+        const ys = this.vertices.map(p => p.y);
+
+        const [ xmax, xmin ] = [ Math.max(...xs), Math.min(...xs) ];
+        const [ ymax, ymin ] = [ Math.max(...ys), Math.min(...ys) ];
+
+        return {
+            'xc': (xmax+xmin)/2,
+            'yc': (ymax+ymin)/2,
+            'w': xmax - xmin,
+            'h': ymax - ymin,
+        }
+    }
+
+    // Média dos vértices "originais", como no polígono (ver Polygon.update_center)
+    centro() {
+        const n = this.orig_vertices.length;
+        return [
+            this.orig_vertices.reduce((soma, p) => soma + p.x, 0) / n,
+            this.orig_vertices.reduce((soma, p) => soma + p.y, 0) / n,
+        ];
+    }
+
+    transform() {
+        const m = this.matriz();
+        this.orig_vertices.forEach(({ x, y }, i) => {
+            [ this.vertices[i].x, this.vertices[i].y ] = this.transforma_ponto(x, y, m);
+        });
+        Primitive.alteracoes++;
+    }
+
+    bake_vertices(f) {
+        this.orig_vertices.forEach((p, i) => {
+            [ p.x, p.y ] = f(this.vertices[i].x, this.vertices[i].y);
+        });
+        this.altera_geometria();
+    }
+
+    to_json() {
+        return {
+            "tipo": "polilinha",
+            "vertices": this.orig_vertices.map(p => [ p.x, p.y ]),
+            "cor": this.color.slice(),
+            "z": this.z,
+            ...this.transform_to_json(),
+        };
+    }
+
+    set_json(json) {
+        this.set_vertices(json.vertices);
+        this.set_color(...json.cor);
+        if (json.z != undefined) this.set_z(json.z);
+        this.set_transform_json(json);
+        this.transform();
+    }
+
+    static from_json(json) {
+        const p = new Polyline();
+        p.set_json(json);
+        return p;
+    }
+
+    // O SVG não tem uma largura em pixels da tela, então a linha fina é exportada com 1
+    // pixel CSS que não muda com o zoom do visualizador (non-scaling-stroke)
+    to_svg() {
+        const pontos = this.vertices.map(p => `${num_svg(p.x)},${num_svg(p.y)}`);
+        return `<polyline points="${pontos.join(" ")}" fill="none" stroke-width="1" `
+            + `vector-effect="non-scaling-stroke" ${cor_svg("stroke", this.color)}/>`;
     }
 }
 
 class Polygon extends Primitive {
     static list = [];
+    static modo = "TRIANGLES";
+    static tem_traco = true;
     static debug_tri = false;
 
-    static draw(f_extra) {
-        super.draw(f_extra);
+    // Junções mais agudas do que isso (comprimento da ponta / meia largura) são cortadas,
+    // como o stroke-miterlimit padrão do SVG
+    static limite_juncao = 4;
 
-        let total_vertices = 0;
-        const jsarr_position = [];
-        const jsarr_color = [];
-        for (const p of this.list) {
-            // Pula polígonos não triangulados ou que têm menos do que 1 triângulo
-            // Obs: p.triangles é preenchida na p.triangulate()
-            if (p.triangles == undefined || p.triangles.length == 0) continue;
-
-            for (const t of p.triangles) {
-                total_vertices += 3;
-
-                // a_position
-                jsarr_position.push(t[0].x, t[0].y, t[1].x, t[1].y, t[2].x, t[2].y);
-
-                // a_color
-                let color_data;
-                if (this.debug_tri) {
-                    // Cor aleatória pra cada triângulo baseado nos vértices
-                    seed = t[0].x + t[0].y + t[1].x + t[1].y + t[2].x + t[2].y;
-                    const randcolor = [255*random(), 255*random(), 255*random(), 255];
-                    color_data = [...randcolor, ...randcolor, ...randcolor];
-                } else {
-                    color_data = [...p.color, ...p.color, ...p.color];
-                }
-                jsarr_color.push(...color_data);
+    // Cor do contorno fino do buraco sendo desenhado (ver start_hole)
+    static cor_buraco_tmp = [120, 120, 120, 255];
+
+    /**
+     * Os triângulos do preenchimento referenciam os vértices dos anéis "originais" (ver
+     * triangulate). O contorno vem depois, então fica por cima do preenchimento. O
+     * buraco sendo desenhado tem um contorno fino, que o mostra mesmo quando inválido
+     */
+    static dados(p) {
+        const posicoes = [];
+        const cores = [];
+        const deslocamentos = [];
+
+        // Polígonos não triangulados ou com menos do que 1 triângulo ficam sem vértices
+        for (const t of p.preenchido ? p.triangles ?? [] : []) {
+            posicoes.push(t[0].x, t[0].y, t[1].x, t[1].y, t[2].x, t[2].y);
+            deslocamentos.push(0, 0, 0, 0, 0, 0);
+
+            if (this.debug_tri) {
+                // Cor aleatória pra cada triângulo baseado nos vértices
+                seed = t[0].x + t[0].y + t[1].x + t[1].y + t[2].x + t[2].y;
+                const randcolor = [255*random(), 255*random(), 255*random(), 255];
+                cores.push(...randcolor, ...randcolor, ...randcolor);
+            } else {
+                cores.push(...p.color, ...p.color, ...p.color);
             }
         }
 
-        // a_position
-        const arr_position = new Float32Array(jsarr_position);
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.a_position_buf);
-        this.gl.bufferData(this.gl.ARRAY_BUFFER, arr_position, this.gl.STATIC_DRAW);
+        const contorno = (anel, meia_largura, cor) => {
+            const c = this.contorno_anel(anel, meia_largura);
+            for (let k = 0; k < c.posicoes.length; k++) {
+                posicoes.push(c.posicoes[k]);
+                deslocamentos.push(c.deslocamentos[k]);
+            }
+            for (let k = 0; k < c.posicoes.length / 2; k++) {
+                cores.push(...cor);
+            }
+        };
 
-        // a_color
-        const arr_color = new Uint8Array(jsarr_color);
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.a_color_buf);
-        this.gl.bufferData(this.gl.ARRAY_BUFFER, arr_color, this.gl.STATIC_DRAW);
+        const aneis = p.orig_rings();
+        const buraco_tmp = p.desenhando_buraco ? aneis.pop() : undefined;
+        if (p.largura_contorno > 0) {
+            for (const anel of aneis) {
+                contorno(anel, p.largura_contorno / 2, p.cor_contorno);
+            }
+        }
+        if (buraco_tmp != undefined) {
+            contorno(buraco_tmp, 1e-6, this.cor_buraco_tmp);
+        }
+
+        return { posicoes, cores, deslocamentos };
+    }
+
+    /**
+     * Retorna { posicoes, deslocamentos } dos triângulos do contorno de um anel, com
+     * junções em ponta (miter), como no SVG. Cada aresta vira um quadrilátero entre as
+     * pontas das junções dos seus vértices, então os quadriláteros não se sobrepõem (o
+     * que apareceria em cores translúcidas)
+     */
+    static contorno_anel(anel, meia_largura) {
+        // Desconsidera vértices repetidos em sequência (arestas de comprimento zero)
+        const pontos = anel.filter((p, i) => {
+            const anterior = anel[(i + anel.length - 1) % anel.length];
+            return p.x != anterior.x || p.y != anterior.y;
+        });
+        const n = pontos.length;
+        if (n < 2) return { posicoes: [], deslocamentos: [] };
+
+        // Normal unitária de cada aresta i (de pontos[i] a pontos[i+1])
+        const normais = pontos.map((p, i) => {
+            const q = pontos[(i+1) % n];
+            const comprimento = Math.hypot(q.x - p.x, q.y - p.y);
+            return [ -(q.y - p.y) / comprimento, (q.x - p.x) / comprimento ];
+        });
+
+        // A junção de cada vértice fica na bissetriz das normais das arestas que chegam
+        // e saem dele, a uma distância que mantém a meia largura nas duas arestas
+        const juncoes = normais.map(([ bx, by ], i) => {
+            const [ ax, ay ] = normais[(i + n - 1) % n];
+            const [ mx, my ] = [ ax + bx, ay + by ];
+            const comprimento = Math.hypot(mx, my);
+
+            // Aresta que volta sobre a anterior: não há bissetriz
+            if (comprimento < 1e-9) return [ bx * meia_largura, by * meia_largura ];
+
+            // comprimento / 2 é o cosseno da metade do ângulo entre as normais
+            const distancia = Math.min(
+                meia_largura / (comprimento / 2),
+                this.limite_juncao * meia_largura,
+            );
+            return [ mx / comprimento * distancia, my / comprimento * distancia ];
+        });
+
+        const posicoes = [];
+        const deslocamentos = [];
+        for (let i = 0; i < n; i++) {
+            const [ p, q ] = [ pontos[i], pontos[(i+1) % n] ];
+            const [ [ jpx, jpy ], [ jqx, jqy ] ] = [ juncoes[i], juncoes[(i+1) % n] ];
+
+            posicoes.push(p.x, p.y, p.x, p.y, q.x, q.y, q.x, q.y, p.x, p.y, q.x, q.y);
+            deslocamentos.push(jpx, jpy, -jpx, -jpy, jqx, jqy, jqx, jqy, -jpx, -jpy, -jqx, -jqy);
+        }
+
+        return { posicoes, deslocamentos };
+    }
 
-        this.gl.drawArrays(this.gl.TRIANGLES, 0, total_vertices);
+    // A troca do modo debug muda as cores de todos os polígonos
+    static geometria_mudou(objetos) {
+        return super.geometria_mudou(objetos) || this.debug_tri != this.debug_tri_enviado;
+    }
+
+    static envia_geometria(objetos) {
+        super.envia_geometria(objetos);
+        this.debug_tri_enviado = this.debug_tri;
     }
 
     static raio_intercepta_linha(xm, ym, x1, y1, x2, y2)
@@ -598,35 +1394,73 @@ class Polygon extends Primitive {
         }
     }
 
-    static pick(xm, ym) {
-        for (const p of this.list.slice().reverse()) {
-            const vertices = p.ordered_vertices.slice();
+    /**
+     * O polígono é selecionado pelo preenchimento (se tiver) e pelo contorno. Sem
+     * preenchimento, o interior é vazio, como no SVG
+     */
+    contem(xm, ym) {
+        return (this.preenchido && this.contem_preenchimento(xm, ym))
+            || this.contem_contorno(xm, ym);
+    }
+
+    // Verifica se (xm, ym) está perto de alguma aresta, considerando a largura visível
+    // do contorno (ver o vertex shader)
+    contem_contorno(xm, ym) {
+        if (this.preenchido && this.largura_contorno == 0) return false;
+
+        const largura_visivel = this.largura_contorno == 0
+            ? 0
+            : Math.max(this.largura_contorno * this.escala, 1 / Primitive.zoom);
+        const tol = Primitive.tol + largura_visivel / 2;
+
+        return this.rings().some(anel => anel.some((p, i) => {
+            const q = anel[(i+1) % anel.length];
+            return distancia_segmento(xm, ym, p.x, p.y, q.x, q.y)[0] < tol;
+        }));
+    }
+
+    contem_preenchimento(xm, ym) {
+        // Conta as interseções com as arestas de todos os anéis (externo e buracos),
+        // então um clique dentro de um buraco intercepta um número par de vezes
+        let count = 0;
+        for (const anel of this.rings()) {
+            const vertices = anel.slice();
             vertices.push(vertices[0]);
 
-            let count = 0;
             for (let i = 0; i < vertices.length-1; i++) {
                 const [ x1, y1 ] = [ vertices[i+0].x, vertices[i+0].y ];
                 const [ x2, y2 ] = [ vertices[i+1].x, vertices[i+1].y ];
-                if (this.raio_intercepta_linha(xm, ym, x1, y1, x2, y2)) {
+                if (this.constructor.raio_intercepta_linha(xm, ym, x1, y1, x2, y2)) {
                     count++;
                 }
             }
-
-            // Seleciona caso interceptar um número ímpar de vezes
-            if (count%2 != 0) {
-                return p;
-            }
         }
-        return;
+
+        // Seleciona caso interceptar um número ímpar de vezes (regra par-ímpar)
+        return count%2 != 0;
     }
 
     constructor() {
         super();
 
+        // Coordenadas "originais" do anel externo e de cada buraco, na forma
+        // [x0, y0, x1, y1, ...]. As transformações lineares são calculadas a partir
+        // delas
         this.vertices = [];
+        this.holes = [];
 
-        this.rotation = 0;
-        this.escala = 1;
+        // Preenchimento (com a cor do polígono) e contorno, com cor e largura próprias.
+        // Largura 0 = sem contorno
+        this.preenchido = true;
+        this.cor_contorno = [0, 0, 0, 255];
+        this.largura_contorno = 0;
+
+        // Se true, os vértices são reordenados pela coordenada polar em vez de manter
+        // a ordem em que foram clicados (ver sort_vertices)
+        this.auto_arrange = false;
+
+        // Se true, o último buraco ainda está sendo desenhado (ver start_hole)
+        this.desenhando_buraco = false;
 
         this.constructor.list.push(this);
     }
@@ -641,65 +1475,89 @@ class Polygon extends Primitive {
         return (ponto.x - xcm)**2 + (ponto.y - ycm)**2;
     }
 
-    // Retorna true se o ponto (x, y) está dentro do triângulo p1p2p3
-    p_inside_tri(x, y, p1, p2, p3) {
-        const l1 = (x-p1.x) * (p3.y-p1.y) - (p3.x-p1.x) * (y-p1.y);
-        const l2 = (x-p2.x) * (p1.y-p2.y) - (p1.x-p2.x) * (y-p2.y);
-        const l3 = (x-p3.x) * (p2.y-p3.y) - (p2.x-p3.x) * (y-p3.y);
-        return (l1>0 && l2>0  && l3>0) || (l1<0 && l2<0 && l3<0);
+    // Retorna os anéis do polígono (externo e buracos) com as coordenadas atuais
+    rings() {
+        return [ this.ordered_vertices, ...this.ordered_holes ];
+    }
+
+    // Retorna os anéis do polígono com as coordenadas "originais"
+    orig_rings() {
+        return [ this.orig_vertices, ...this.orig_holes ];
     }
 
-    // Retorna true se o ângulo p1p2p3 em relação a cm for menor do que 180
-    is_p2_convex(xcm, ycm, p1, p2, p3) {
-        // Vetor p2->p1
-        const v1 = [ p1.x - p2.x, p1.y - p2.y ];
-        const v1_mod = Math.sqrt(v1[0]**2 + v1[1]**2);
+    /**
+     * Converte uma lista [x0, y0, x1, y1, ...] em um anel de pontos { x, y } na ordem em
+     * que foram clicados, descartando apenas pontos repetidos em sequência
+     */
+    coords_to_ring(coords) {
+        const points = [];
+        for (let i = 0; i < coords.length-1; i += 2) {
+            const new_p = {
+                "x": coords[i],
+                "y": coords[i+1]
+            };
+
+            // Desconsidera ponto igual ao anterior (ex: o vértice que segue o mouse
+            // logo depois do clique)
+            const last_p = points[points.length-1];
+            if (last_p != undefined && new_p.x == last_p.x && new_p.y == last_p.y) {
+                continue;
+            }
+
+            points.push(new_p);
+        }
 
-        // Vetor p2->cm
-        const v2 = [ xcm - p2.x, ycm - p2.y ];
-        const v2_mod = Math.sqrt(v2[0]**2 + v2[1]**2);
+        // O anel é fechado, então o último ponto também não pode ser igual ao primeiro
+        while (
+            points.length > 1
+            && points[0].x == points[points.length-1].x
+            && points[0].y == points[points.length-1].y
+        ) {
+            points.pop();
+        }
 
-        // Vetor p2->p3
-        const v3 = [ p3.x - p2.x, p3.y - p2.y ];
-        const v3_mod = Math.sqrt(v3[0]**2 + v3[1]**2);
+        return points;
+    }
 
-        // Ângulo entre v1 e v2
-        const alfa1 = Math.acos((v1[0]*v2[0] + v1[1]*v2[1]) / (v1_mod * v2_mod));
+    /**
+     * Monta os anéis de vértices "originais" (this.orig_vertices e this.orig_holes) a
+     * partir das coordenadas em this.vertices e this.holes, e os anéis com as
+     * coordenadas transformadas (this.ordered_vertices e this.ordered_holes). Se o
+     * polígono estiver no modo auto_arrange, reordena o anel externo pela coordenada
+     * polar (sort_vertices)
+     */
+    build_ring() {
+        this.orig_vertices = this.coords_to_ring(this.vertices);
+        if (this.auto_arrange) {
+            this.sort_vertices();
+        }
+        this.orig_holes = this.holes.map(h => this.coords_to_ring(h));
 
-        // Ângulo entre v2 e v3
-        const alfa2 = Math.acos((v2[0]*v3[0] + v2[1]*v3[1]) / (v2_mod * v3_mod));
+        this.ordered_vertices = this.orig_vertices.map(p => ({ x: p.x, y: p.y }));
+        this.ordered_holes = this.orig_holes.map(h => h.map(p => ({ x: p.x, y: p.y })));
 
-        return (alfa1 + alfa2) < Math.PI;
+        this.update_center();
+        this.transform();
     }
 
     /**
-     * Encontra ordem dos vértices que resulta em um polígono simples (sem buracos
-     * e sem arestas que se cruzam)
+     * Modo auto_arrange: reordena o anel externo pela coordenada polar em relação ao
+     * centro de massa, o que resulta em um polígono simples (sem arestas que se cruzam)
+     * para qualquer conjunto de pontos, mas ignora a ordem em que os vértices foram
+     * clicados
      * Fonte: https://stackoverflow.com/a/59293807/1694726
      */
     sort_vertices() {
-        // Cria array auxilar com os pontos
+        // Desconsidera pontos com coordenadas iguais
         const points = [];
-        outerforsort: for (let i = 0; i < this.vertices.length-1; i += 2) {
-            const new_p = {
-                "x": this.vertices[i],
-                "y": this.vertices[i+1]
-            };
-
-            // Desconsidera pontos com coordenadas iguais
-            for (const p of points) {
-                if (new_p.x == p.x && new_p.y == p.y) {
-                    continue outerforsort;
-                }
-            }
-
+        for (const new_p of this.orig_vertices) {
+            if (points.some(p => new_p.x == p.x && new_p.y == p.y)) continue;
             points.push(new_p);
         }
 
         // Encontra "centro de massa" dos pontos
         const xcm = points.reduce((sum, p) => sum + p.x, 0) / points.length;
         const ycm = points.reduce((sum, p) => sum + p.y, 0) / points.length;
-        [ this.xcm, this.ycm ] = [ xcm, ycm ];
 
         // Encontra as coordenadas polares e os quadrados das distâncias de cada ponto
         // ao centro de massa
@@ -711,79 +1569,148 @@ class Polygon extends Primitive {
         // Ordena os pontos pela coord. polar e quadrado da distância
         points.sort((a, b) => a.polar - b.polar || a.sqdist - b.sqdist);
 
-        this.ordered_vertices = points;
+        this.orig_vertices = points;
     }
 
     /**
-     * Triangula polígono usando o algoritmo ear-clipping ingênuo
-     * Obs: é necessário executar p.sort_vertices() primeiro
-     * Fonte: https://www.geometrictools.com/Documentation/TriangulationByEarClipping.pdf
+     * Triangula o polígono usando ear-clipping, ligando os buracos ao anel externo (ver
+     * triangula_poligono em triangulacao.js). A triangulação é feita nos anéis
+     * "originais", já que as transformações (afins) não a alteram
+     * Obs: é necessário executar p.build_ring() primeiro
+     * Retorna true em caso de sucesso. Em caso de falha (ex: arestas que se cruzam),
+     * o polígono fica sem triângulos e o motivo fica em this.erro_triangulacao.
+     * Enquanto o buraco sendo desenhado for inválido (ex: menos de 3 vértices ou fora
+     * do polígono), o preenchimento é triangulado sem ele, senão o polígono sumiria
      */
     triangulate() {
-        const points = this.ordered_vertices.slice();
-
-        this.triangles = [];
-        this.orig_triangles = [];
-        if (points.length < 3) return;
-
-        while (points.length > 3) {
-
-            outertrifor: for (let i = 0;; i++) {
-                const [ p1, p2, p3 ] = [
-                    points[(i+0)%(points.length)],
-                    points[(i+1)%(points.length)],
-                    points[(i+2)%(points.length)],
-                ];
-
-                // Se algum dos outros pontos do polígono está dentro de p1p2p3, então
-                // p1p2p3 não é uma "orelha".
-                const outros_pontos = points.filter(p => ![ p1, p2, p3 ].includes(p));
-                for (const outro_p of outros_pontos) {
-                    if (this.p_inside_tri(outro_p.x, outro_p.y, p1, p2, p3)) {
-                        continue outertrifor;
-                    }
-                }
-
-                // Testa se p2 é convexo calculando os ângulos entre os vetores
-                if (this.is_p2_convex(this.xcm, this.ycm, p1, p2, p3)) {
-                    this.triangles.push([p1, p2, p3]);
-                    this.orig_triangles.push([
-                        { x: p1.x, y: p1.y },
-                        { x: p2.x, y: p2.y },
-                        { x: p3.x, y: p3.y },
-                    ]);
-                    points.splice(points.indexOf(p2), 1);
-                    break outertrifor;
-                }
-            }
+        const resultado = triangula_poligono(this.orig_vertices, this.orig_holes);
+        this.triangles = resultado.triangulos;
+        this.erro_triangulacao = resultado.erro;
+        if (this.desenhando_buraco && resultado.erro != undefined) {
+            const buracos = this.orig_holes.slice(0, -1);
+            this.triangles = triangula_poligono(this.orig_vertices, buracos).triangulos;
         }
+        this.altera_geometria();
 
-        // Adiciona o último triângulo
-        const [ p1, p2, p3 ] = [ points[0], points[1], points[2] ];
-        this.triangles.push([p1, p2, p3]);
-        this.orig_triangles.push([
-            { x: p1.x, y: p1.y },
-            { x: p2.x, y: p2.y },
-            { x: p3.x, y: p3.y },
-        ]);
+        return this.erro_triangulacao == undefined;
+    }
 
-        this.update_center();
+    /**
+     * Copia as coordenadas dos anéis "originais" de volta para this.vertices e
+     * this.holes, depois de um espelhamento (ver bake_vertices) ou da edição de vértices
+     */
+    sync_vertices() {
+        this.vertices = this.orig_vertices.flatMap(p => [ p.x, p.y ]);
+        this.holes = this.orig_holes.map(h => h.flatMap(p => [ p.x, p.y ]));
+    }
+
+    set_contorno(preenchido, cor_contorno, largura_contorno) {
+        this.preenchido = preenchido;
+        this.cor_contorno = cor_contorno.slice();
+        this.largura_contorno = largura_contorno;
+        this.altera_geometria();
     }
 
     add_vertex(x, y) {
         this.vertices.push(x, y);
-        this.sort_vertices();
+        this.build_ring();
         this.triangulate();
     }
 
+    /*
+     * Edição de vértices de um polígono já finalizado. k é o índice do anel (0 = externo,
+     * 1 em diante = buracos) e i o índice do vértice no anel. As coordenadas (x, y) são
+     * do canvas. Os métodos retornam true se o polígono continua válido (ver triangulate)
+     */
+    move_vertex(k, i, x, y) {
+        const p = this.orig_rings()[k][i];
+        [ p.x, p.y ] = this.to_orig(x, y);
+        return this.rebuild_rings();
+    }
+
+    // Insere o vértice (x, y) depois do vértice i do anel k
+    insert_vertex(k, i, x, y) {
+        const [ xo, yo ] = this.to_orig(x, y);
+        this.orig_rings()[k].splice(i+1, 0, { x: xo, y: yo });
+        return this.rebuild_rings();
+    }
+
+    // Remove o vértice i do anel k. Todo anel precisa de pelo menos 3 vértices
+    remove_vertex(k, i) {
+        const anel = this.orig_rings()[k];
+        if (anel.length <= 3) return false;
+
+        anel.splice(i, 1);
+        return this.rebuild_rings();
+    }
+
+    // Refaz o polígono a partir dos anéis "originais" editados. A ordem dos vértices
+    // passa a ser a da edição, então o modo auto_arrange é desligado
+    rebuild_rings() {
+        this.auto_arrange = false;
+        this.sync_vertices();
+        this.build_ring();
+        return this.triangulate();
+    }
+
     update_last_vertex(x, y) {
         this.vertices[this.vertices.length-2] = x;
         this.vertices[this.vertices.length-1] = y;
 
-        this.sort_vertices();
+        this.build_ring();
+        this.triangulate();
+    }
+
+    // Começa um buraco novo no ponto (x, y) da tela. Assim como no desenho do polígono,
+    // o último vértice do buraco segue o mouse (ver update_last_hole_vertex)
+    start_hole(x, y) {
+        const [ xo, yo ] = this.to_orig(x, y);
+        this.holes.push([ xo, yo, xo, yo ]);
+        this.desenhando_buraco = true;
+        this.build_ring();
+        this.triangulate();
+    }
+
+    add_hole_vertex(x, y) {
+        const [ xo, yo ] = this.to_orig(x, y);
+        this.holes[this.holes.length-1].push(xo, yo);
+        this.build_ring();
+        this.triangulate();
+    }
+
+    update_last_hole_vertex(x, y) {
+        const [ xo, yo ] = this.to_orig(x, y);
+        const hole = this.holes[this.holes.length-1];
+        hole[hole.length-2] = xo;
+        hole[hole.length-1] = yo;
+
+        this.build_ring();
         this.triangulate();
     }
 
+    /**
+     * Finaliza o buraco sendo desenhado. Se remove_last for true, remove o último vértice
+     * (o que segue o mouse). Se o buraco for inválido, ele é descartado e o motivo é
+     * retornado. Retorna undefined em caso de sucesso
+     */
+    finish_hole(remove_last) {
+        const hole = this.holes[this.holes.length-1];
+        if (remove_last) {
+            hole.pop();
+            hole.pop();
+        }
+        this.desenhando_buraco = false;
+
+        this.build_ring();
+        if (this.triangulate()) return;
+
+        const erro = this.erro_triangulacao;
+        this.holes.pop();
+        this.build_ring();
+        this.triangulate();
+        return erro;
+    }
+
     boundingbox() {
         const xs = this.ordered_vertices.map(p => p.x);
         const ys = this.ordered_vertices.map(p => p.y);
@@ -803,203 +1730,432 @@ class Polygon extends Primitive {
 
     }
 
-    // Calcula centro usando vértices "originais"
+    // Calcula centro usando vértices "originais" do anel externo
     update_center() {
         let xc = 0, yc = 0;
 
-        for (const t of this.orig_triangles) {
-            xc += t[0].x + t[1].x + t[2].x;
-            yc += t[0].y + t[1].y + t[2].y;
+        for (const p of this.orig_vertices) {
+            xc += p.x;
+            yc += p.y;
         }
 
-        xc /= 3 * this.orig_triangles.length;
-        yc /= 3 * this.orig_triangles.length;
+        xc /= this.orig_vertices.length;
+        yc /= this.orig_vertices.length;
 
         this.xc = xc;
         this.yc = yc;
     }
 
-    // Translada apenas vértices "originais"
-    translate(dx, dy) {
-        const transladados = [];
-        for (let i = 0; i < this.triangles.length; i++) {
-            const t_orig = this.orig_triangles[i];
-            for (let j = 0; j < 3; j++) {
-                // Pula vértices já transladados porque a referência deles é igual
-                if (transladados.includes(t_orig[j])) continue;
-
-                t_orig[j].x += dx;
-                t_orig[j].y += dy;
+    centro() {
+        return [ this.xc, this.yc ];
+    }
 
-                transladados.push(t_orig[j]);
+    // Aplica as transformações nos vértices dos anéis (usados no pick, no SVG, etc; o
+    // desenho aplica a mesma matriz no vertex shader)
+    transform() {
+        const m = this.matriz();
+        const aneis = this.rings();
+        const aneis_orig = this.orig_rings();
+        for (let k = 0; k < aneis.length; k++) {
+            for (let i = 0; i < aneis[k].length; i++) {
+                const p = aneis[k][i];
+                const { x, y } = aneis_orig[k][i];
+
+                [ p.x, p.y ] = this.transforma_ponto(x, y, m);
             }
         }
+        Primitive.alteracoes++;
+    }
 
+    bake_vertices(f) {
+        const aneis = this.rings();
+        const aneis_orig = this.orig_rings();
+        for (let k = 0; k < aneis.length; k++) {
+            for (let i = 0; i < aneis[k].length; i++) {
+                const p = aneis[k][i];
+                [ aneis_orig[k][i].x, aneis_orig[k][i].y ] = f(p.x, p.y);
+            }
+        }
+        this.sync_vertices();
         this.update_center();
-        this.transform();
+        this.altera_geometria();
     }
 
-    set_rotation(graus) {
-        this.rotation = graus;
+    to_json() {
+        return {
+            "tipo": "poligono",
+            "vertices": this.orig_vertices.map(p => [ p.x, p.y ]),
+            "buracos": this.orig_holes.map(h => h.map(p => [ p.x, p.y ])),
+            "cor": this.color.slice(),
+            "preenchido": this.preenchido,
+            "cor_contorno": this.cor_contorno.slice(),
+            "largura_contorno": this.largura_contorno,
+            "z": this.z,
+            ...this.transform_to_json(),
+        };
     }
 
-    set_scale(fator) {
-        this.escala = fator;
+    set_json(json) {
+        this.vertices = json.vertices.flat();
+        this.holes = json.buracos.map(h => h.flat());
+        this.set_color(...json.cor);
+        this.set_contorno(
+            json.preenchido ?? true,
+            json.cor_contorno ?? [0, 0, 0, 255],
+            json.largura_contorno ?? 0,
+        );
+        if (json.z != undefined) this.set_z(json.z);
+        this.set_transform_json(json);
+        this.build_ring();
+        this.triangulate();
     }
 
-    // Aplica escala e rotação direto nos triângulos
-    transform() {
-        const [ xc, yc ] = [ this.xc, this.yc ];
-
-        // Rotação e escala
-        const theta = this.rotation * Math.PI / 180;
-        const cos = Math.cos(theta);
-        const sin = Math.sin(theta);
-
-        const rotacionados_escalados = [];
-        for (let i = 0; i < this.triangles.length; i++) {
-            const t = this.triangles[i];
-            const t_orig = this.orig_triangles[i];
-            for (let j = 0; j < 3; j++) {
-                if (rotacionados_escalados.includes(t[j])) continue;
+    static from_json(json) {
+        const p = new Polygon();
+        p.set_json(json);
+        return p;
+    }
 
-                const x = t_orig[j].x;
-                const y = t_orig[j].y;
+    // Cada anel vira um subcaminho do path. A regra par-ímpar faz os buracos ficarem
+    // vazios, assim como no pick. A largura do contorno é exportada com a escala do
+    // polígono, já que as coordenadas são as atuais
+    to_svg() {
+        const d = this.rings().map(anel => {
+            const coords = anel.map(p => `${num_svg(p.x)} ${num_svg(p.y)}`);
+            return `M ${coords.join(" L ")} Z`;
+        });
+
+        let estilo = this.preenchido ? cor_svg("fill", this.color) : `fill="none"`;
+        if (this.largura_contorno > 0) {
+            estilo += ` ${cor_svg("stroke", this.cor_contorno)}`
+                + ` stroke-width="${num_svg(this.largura_contorno * this.escala)}"`;
+        }
 
-                t[j].x = xc + this.escala * ((x - xc) * cos - (y - yc) * sin);
-                t[j].y = yc + this.escala * ((x - xc) * sin + (y - yc) * cos);
+        return `<path d="${d.join(" ")}" fill-rule="evenodd" ${estilo}/>`;
+    }
+}
 
-                rotacionados_escalados.push(t[j]);
-            }
+/**
+ * Elipse preenchida, dada pelo centro, pelos raios (rx, ry) e pelo ângulo do eixo de rx,
+ * nas coordenadas "originais". É desenhada como um leque de triângulos (TRIANGLE_FAN)
+ * a partir do centro, com o número de segmentos ajustado ao tamanho na tela
+ */
+class Ellipse extends Primitive {
+    static list = [];
+    static modo = "TRIANGLE_FAN";
+
+    // Distância máxima, em pixels da tela, entre a borda desenhada e a borda real
+    static erro_px = 0.25;
+    static segmentos_min = 16;
+    static segmentos_max = 1024;
+
+    static dados(e) {
+        const n = e.segmentos();
+        const theta = e.angulo * Math.PI / 180;
+        const [ cos, sin ] = [ Math.cos(theta), Math.sin(theta) ];
+
+        // Centro e n+1 pontos da borda (o último repete o primeiro, fechando o leque)
+        const posicoes = [ e.cx_orig, e.cy_orig ];
+        for (let k = 0; k <= n; k++) {
+            const t = 2 * Math.PI * k / n;
+            const [ x, y ] = [ e.rx * Math.cos(t), e.ry * Math.sin(t) ];
+            posicoes.push(e.cx_orig + x * cos - y * sin, e.cy_orig + x * sin + y * cos);
         }
+
+        return { posicoes, cores: Array(n + 2).fill(e.color).flat() };
     }
 
-    mirror(rx1, ry1, rx2, ry2) {
-        // Translada todos os pontos (-rx1, -ry1)
-        let transladados = [];
-        for (let i = 0; i < this.triangles.length; i++) {
-            const t = this.triangles[i];
-            for (let j = 0; j < 3; j++) {
-                if (transladados.includes(t[j])) continue;
-                t[j].x -= rx1;
-                t[j].y -= ry1;
-                transladados.push(t[j]);
-            }
-        }
+    // O número de segmentos muda com o zoom e a escala, mesmo sem alterar a elipse
+    static geometria_mudou(objetos) {
+        return super.geometria_mudou(objetos)
+            || objetos.some((obj, i) => obj.segmentos() != this.segmentos_enviados[i]);
+    }
 
-        // Encontra ângulo entre a reta e o eixo Ox
-        const theta = Math.atan2(ry2-ry1, rx2-rx1);
+    static envia_geometria(objetos) {
+        super.envia_geometria(objetos);
+        this.segmentos_enviados = objetos.map(obj => obj.segmentos());
+    }
 
-        // Rotaciona pontos de -theta
-        let cos = Math.cos(-theta);
-        let sin = Math.sin(-theta);
+    /**
+     * Número de segmentos da borda para que a distância entre cada segmento e o arco
+     * (a flecha, r * (1 - cos(pi / n))) fique abaixo de erro_px. É arredondado para uma
+     * potência de 2, para que a geometria só seja recarregada quando o tamanho na tela
+     * mudar bastante
+     */
+    segmentos() {
+        const { erro_px, segmentos_min, segmentos_max } = this.constructor;
+        const raio_px = Math.max(this.rx, this.ry) * this.escala
+            * Primitive.zoom * Primitive.densidade;
+        const minimo = Math.PI / Math.acos(Math.max(-1, 1 - erro_px / raio_px));
+        const n = 2 ** Math.ceil(Math.log2(minimo));
+
+        return Math.min(Math.max(n, segmentos_min), segmentos_max);
+    }
 
-        let rotacionados = [];
-        for (let i = 0; i < this.triangles.length; i++) {
-            const t = this.triangles[i];
-            for (let j = 0; j < 3; j++) {
-                if (rotacionados.includes(t[j])) continue;
-                const x = t[j].x;
-                const y = t[j].y;
+    /**
+     * Leva (xm, ym) para as coordenadas da elipse (centro na origem e eixos alinhados) e
+     * testa a equação da elipse. Os raios incluem a tolerância de pick, para que elipses
+     * muito pequenas ou finas continuem selecionáveis
+     */
+    contem(xm, ym) {
+        const [ xo, yo ] = this.to_orig(xm, ym);
+        const [ x, y ] = rotaciona_ponto(
+            xo - this.cx_orig, yo - this.cy_orig, -this.angulo, 0, 0);
+        const tol = this.constructor.tol / this.escala;
 
-                t[j].x = x * cos - y * sin;
-                t[j].y = x * sin + y * cos;
+        return (x / (this.rx + tol))**2 + (y / (this.ry + tol))**2 <= 1;
+    }
 
-                rotacionados.push(t[j]);
-            }
-        }
+    constructor(cx, cy, rx, ry) {
+        super();
 
-        // Espelha em relação ao eixo Ox
-        const espelhados = [];
-        for (let i = 0; i < this.triangles.length; i++) {
-            const t = this.triangles[i];
-            for (let j = 0; j < 3; j++) {
-                if (espelhados.includes(t[j])) continue;
+        // Coordenadas "originais" do centro, usadas para calcular transformações, e
+        // atuais (transformadas)
+        this.cx = this.cx_orig = cx;
+        this.cy = this.cy_orig = cy;
 
-                t[j].y = -t[j].y;
+        // Raios e ângulo (em graus) do eixo de rx, nas coordenadas "originais". A rotação
+        // do objeto é somada ao ângulo, e a escala multiplica os raios
+        this.rx = rx;
+        this.ry = ry;
+        this.angulo = 0;
 
-                espelhados.push(t[j]);
-            }
-        }
+        this.constructor.list.push(this);
+    }
 
-        // Rotaciona pontos de +theta
-        cos = Math.cos(theta);
-        sin = Math.sin(theta);
+    set_geometria(cx, cy, rx, ry, angulo) {
+        this.cx = this.cx_orig = cx;
+        this.cy = this.cy_orig = cy;
+        this.rx = rx;
+        this.ry = ry;
+        this.angulo = angulo;
+        this.altera_geometria();
+    }
 
-        rotacionados = [];
-        for (let i = 0; i < this.triangles.length; i++) {
-            const t = this.triangles[i];
-            for (let j = 0; j < 3; j++) {
-                if (rotacionados.includes(t[j])) continue;
-                const x = t[j].x;
-                const y = t[j].y;
+    /**
+     * Bounding box da elipse girada: para o ângulo total t e os raios atuais a e b, as
+     * meias larguras são sqrt(a² cos² t + b² sin² t) e sqrt(a² sin² t + b² cos² t)
+     */
+    boundingbox() {
+        const theta = (this.angulo + this.rotation) * Math.PI / 180;
+        const [ cos, sin ] = [ Math.cos(theta), Math.sin(theta) ];
+        const [ a, b ] = [ this.rx * this.escala, this.ry * this.escala ];
 
-                t[j].x = x * cos - y * sin;
-                t[j].y = x * sin + y * cos;
+        return {
+            'xc': this.cx,
+            'yc': this.cy,
+            'w': 2 * Math.sqrt((a * cos)**2 + (b * sin)**2),
+            'h': 2 * Math.sqrt((a * sin)**2 + (b * cos)**2),
+        };
+    }
 
-                rotacionados.push(t[j]);
-            }
-        }
+    centro() {
+        return [ this.cx_orig, this.cy_orig ];
+    }
 
-        // Translada todos os pontos (+rx1, +ry1)
-        transladados = [];
-        for (let i = 0; i < this.triangles.length; i++) {
-            const t = this.triangles[i];
-            for (let j = 0; j < 3; j++) {
-                if (transladados.includes(t[j])) continue;
-                t[j].x += rx1;
-                t[j].y += ry1;
-                transladados.push(t[j]);
-            }
-        }
+    transform() {
+        [ this.cx, this.cy ] = this.transforma_ponto(this.cx_orig, this.cy_orig);
+        Primitive.alteracoes++;
+    }
 
-        // Atualiza triangulos "originais"
-        for (let i = 0; i < this.triangles.length; i++) {
-            const t = this.triangles[i];
-            const t_orig = this.orig_triangles[i];
-            for (let j = 0; j < 3; j++) {
-                t_orig[j].x = t[j].x;
-                t_orig[j].y = t[j].y;
-            }
+    /**
+     * Pontos da borda com as coordenadas atuais, nas extremidades dos eixos quando n é
+     * múltiplo de 4 (usados no fecho convexo e no espelhamento)
+     */
+    pontos_borda(n) {
+        const theta = this.angulo * Math.PI / 180;
+        const [ cos, sin ] = [ Math.cos(theta), Math.sin(theta) ];
+        const m = this.matriz();
+
+        const pontos = [];
+        for (let k = 0; k < n; k++) {
+            const t = 2 * Math.PI * k / n;
+            const [ x, y ] = [ this.rx * Math.cos(t), this.ry * Math.sin(t) ];
+            pontos.push(this.transforma_ponto(
+                this.cx_orig + x * cos - y * sin, this.cy_orig + x * sin + y * cos, m));
         }
+        return pontos;
+    }
 
-        // Reseta transformações -- Sem resetar, ele aplica as transformações "de novo"
-        // porque o espelhamento funciona como um tipo de translação
-        this.rotation = 0;
-        this.escala = 1;
+    /**
+     * A rotação e a escala mantêm os eixos perpendiculares, assim como o espelhamento,
+     * então a elipse incorporada é dada pelo centro e pelas extremidades dos eixos
+     */
+    bake_vertices(f) {
+        const [ cx, cy ] = f(this.cx, this.cy);
+        const [ [ ax, ay ], [ bx, by ] ] = this.pontos_borda(4).slice(0, 2).map(p => f(...p));
+
+        this.set_geometria(
+            cx, cy,
+            Math.hypot(ax - cx, ay - cy),
+            Math.hypot(bx - cx, by - cy),
+            Math.atan2(ay - cy, ax - cx) * 180 / Math.PI,
+        );
     }
-}
 
-class Box {
-    constructor(xc, yc, w, h) {
-        this.lines = [
-            new Line(xc-w/2, yc-h/2, xc-w/2, yc+h/2),
-            new Line(xc-w/2, yc+h/2, xc+w/2, yc+h/2),
-            new Line(xc+w/2, yc+h/2, xc+w/2, yc-h/2),
-            new Line(xc+w/2, yc-h/2, xc-w/2, yc-h/2),
-        ];
-        this.set_claro();
+    to_json() {
+        return {
+            "tipo": "elipse",
+            "centro": [ this.cx_orig, this.cy_orig ],
+            "raios": [ this.rx, this.ry ],
+            "angulo": this.angulo,
+            "cor": this.color.slice(),
+            "z": this.z,
+            ...this.transform_to_json(),
+        };
     }
 
-    set_lines(xc, yc, w, h) {
-        this.lines[0].set_position(xc-w/2, yc-h/2, xc-w/2, yc+h/2);
-        this.lines[1].set_position(xc-w/2, yc+h/2, xc+w/2, yc+h/2);
-        this.lines[2].set_position(xc+w/2, yc+h/2, xc+w/2, yc-h/2);
-        this.lines[3].set_position(xc+w/2, yc-h/2, xc-w/2, yc-h/2);
+    set_json(json) {
+        this.set_geometria(...json.centro, ...json.raios, json.angulo);
+        this.set_color(...json.cor);
+        if (json.z != undefined) this.set_z(json.z);
+        this.set_transform_json(json);
+        this.transform();
     }
 
-    set_claro() {
-        for (const l of this.lines) {
-            l.set_color(140, 140, 140, 200);
-        }
+    static from_json(json) {
+        const e = new Ellipse(...json.centro, ...json.raios);
+        e.set_json(json);
+        return e;
     }
 
-    set_escuro() {
+    // O ângulo total vira uma rotação em torno do centro (ver rotacao_svg em cena.js)
+    to_svg() {
+        const [ cx, cy ] = [ num_svg(this.cx), num_svg(this.cy) ];
+        const graus = normaliza_angulo(this.angulo + this.rotation);
+        const rotacao = graus == 0 ? "" : ` transform="rotate(${num_svg(graus)} ${cx} ${cy})"`;
+
+        return `<ellipse cx="${cx}" cy="${cy}" rx="${num_svg(this.rx * this.escala)}" `
+            + `ry="${num_svg(this.ry * this.escala)}"${rotacao} `
+            + `${cor_svg("fill", this.color)}/>`;
+    }
+}
+
+/** Círculo: uma elipse com os dois raios iguais */
+class Circle extends Ellipse {
+    static list = [];
+
+    constructor(cx, cy, raio) {
+        super(cx, cy, raio, raio);
+    }
+
+    to_json() {
+        return {
+            "tipo": "circulo",
+            "centro": [ this.cx_orig, this.cy_orig ],
+            "raio": this.rx,
+            "cor": this.color.slice(),
+            "z": this.z,
+            ...this.transform_to_json(),
+        };
+    }
+
+    set_json(json) {
+        super.set_json({ ...json, "raios": [ json.raio, json.raio ], "angulo": 0 });
+    }
+
+    static from_json(json) {
+        const c = new Circle(...json.centro, json.raio);
+        c.set_json(json);
+        return c;
+    }
+
+    to_svg() {
+        return `<circle cx="${num_svg(this.cx)}" cy="${num_svg(this.cy)}" `
+            + `r="${num_svg(this.rx * this.escala)}" ${cor_svg("fill", this.color)}/>`;
+    }
+}
+
+/**
+ * Grade de fundo (ver draw_grade). É uma única primitiva cujos vértices são os extremos
+ * de todas as linhas da grade, desenhadas com gl.LINES. Não faz parte do desenho, então
+ * fica fora das listas das outras primitivas (pick, histórico, arquivos, etc)
+ */
+class Grade extends Primitive {
+    static list = [];
+    static modo = "LINES";
+
+    static dados(g) {
+        const n = g.posicoes.length / 2;
+        return { posicoes: g.posicoes, cores: Array(n).fill(g.color).flat() };
+    }
+
+    constructor() {
+        super();
+
+        this.posicoes = [];
+        this.set_color(225, 225, 225, 255);
+
+        this.constructor.list.push(this);
+    }
+
+    /**
+     * Refaz as linhas da grade com o espaçamento dado, cobrindo o retângulo de (x0, y0)
+     * a (x1, y1). Não faz nada se nenhum dos parâmetros mudou
+     */
+    set_area(espacamento, x0, y0, x1, y1) {
+        const area = [ espacamento, x0, y0, x1, y1 ].join();
+        if (area == this.area) return;
+        this.area = area;
+
+        this.posicoes = [];
+        for (let x = Math.ceil(x0 / espacamento) * espacamento; x <= x1; x += espacamento) {
+            this.posicoes.push(x, y0, x, y1);
+        }
+        for (let y = Math.ceil(y0 / espacamento) * espacamento; y <= y1; y += espacamento) {
+            this.posicoes.push(x0, y, x1, y);
+        }
+        this.altera_geometria();
+    }
+
+    // A grade não é transformada nem selecionada
+    centro() {
+        return [ 0, 0 ];
+    }
+
+    contem() {
+        return false;
+    }
+}
+
+class Box {
+    constructor(xc, yc, w, h) {
+        this.lines = [
+            new Line(xc-w/2, yc-h/2, xc-w/2, yc+h/2),
+            new Line(xc-w/2, yc+h/2, xc+w/2, yc+h/2),
+            new Line(xc+w/2, yc+h/2, xc+w/2, yc-h/2),
+            new Line(xc+w/2, yc-h/2, xc-w/2, yc-h/2),
+        ];
+        this.lines.forEach(l => l.set_fina());
+        this.set_claro();
+    }
+
+    set_lines(xc, yc, w, h) {
+        this.lines[0].set_position(xc-w/2, yc-h/2, xc-w/2, yc+h/2);
+        this.lines[1].set_position(xc-w/2, yc+h/2, xc+w/2, yc+h/2);
+        this.lines[2].set_position(xc+w/2, yc+h/2, xc+w/2, yc-h/2);
+        this.lines[3].set_position(xc+w/2, yc-h/2, xc-w/2, yc-h/2);
+    }
+
+    set_claro() {
+        for (const l of this.lines) {
+            l.set_color(140, 140, 140, 200);
+        }
+    }
+
+    set_escuro() {
         for (const l of this.lines) {
             l.set_color(120, 120, 120, 255);
         }
     }
 
+    // Cor de destaque, usada no marcador de snap
+    set_destaque() {
+        for (const l of this.lines) {
+            l.set_color(255, 89, 94, 255);
+        }
+    }
+
     delete() {
         for (const l of this.lines) {
             l.delete();
@@ -1007,6 +2163,228 @@ class Box {
     }
 }
 
+/**
+ * Seleção de vários objetos. Não é desenhada nem entra nas listas das primitivas, apenas
+ * repassa as operações (translação, cor, espelhamento, etc) para os objetos. A rotação e
+ * a escala são feitas em torno do centro da bounding box do conjunto, fixado quando a
+ * seleção é criada, e valem para o conjunto como um todo (começam em 0 e 1)
+ */
+class Conjunto {
+    constructor(objetos) {
+        this.objetos = objetos;
+
+        this.rotation = 0;
+        this.escala = 1;
+
+        // Rotação e escala que já foram aplicadas nos objetos (ver transform)
+        this.rotation_aplicada = 0;
+        this.escala_aplicada = 1;
+
+        const bbox = this.boundingbox();
+        this.xc = bbox.xc;
+        this.yc = bbox.yc;
+    }
+
+    // Cor comum a todos os objetos, ou undefined se forem de cores diferentes
+    get color() {
+        const cor = this.objetos[0].color;
+        if (cor != undefined && this.objetos.every(obj => String(obj.color) == String(cor))) {
+            return cor;
+        }
+        return;
+    }
+
+    contem(obj) {
+        return this.objetos.includes(obj);
+    }
+
+    // Bounding box que envolve as bounding boxes de todos os objetos
+    boundingbox() {
+        const bboxes = this.objetos.map(obj => obj.boundingbox());
+
+        const xmin = Math.min(...bboxes.map(b => b.xc - b.w/2));
+        const xmax = Math.max(...bboxes.map(b => b.xc + b.w/2));
+        const ymin = Math.min(...bboxes.map(b => b.yc - b.h/2));
+        const ymax = Math.max(...bboxes.map(b => b.yc + b.h/2));
+
+        return {
+            'xc': (xmax+xmin)/2,
+            'yc': (ymax+ymin)/2,
+            'w': xmax - xmin,
+            'h': ymax - ymin,
+        }
+    }
+
+    translate(dx, dy) {
+        this.objetos.forEach(obj => obj.translate(dx, dy));
+        this.xc += dx;
+        this.yc += dy;
+    }
+
+    get_pivo() {
+        return [ this.xc, this.yc ];
+    }
+
+    // Muda o centro da rotação e da escala para (x, y), ou para o centro da bounding
+    // box se (x, y) não for passado. Não move os objetos
+    set_pivo(x, y) {
+        if (x == undefined) {
+            const bbox = this.boundingbox();
+            [ x, y ] = [ bbox.xc, bbox.yc ];
+        }
+        this.xc = x;
+        this.yc = y;
+    }
+
+    set_rotation(graus) {
+        this.rotation = graus;
+    }
+
+    set_scale(fator) {
+        this.escala = fator;
+    }
+
+    // Aplica nos objetos apenas a diferença entre a rotação/escala atual e a já aplicada
+    transform() {
+        const graus = this.rotation - this.rotation_aplicada;
+        const fator = this.escala / this.escala_aplicada;
+
+        for (const obj of this.objetos) {
+            if (graus != 0) obj.rotate_about(graus, this.xc, this.yc);
+            if (fator != 1) obj.scale_about(fator, this.xc, this.yc);
+        }
+
+        this.rotation_aplicada = this.rotation;
+        this.escala_aplicada = this.escala;
+    }
+
+    // Rotaciona o conjunto em torno de (xp, yp), da mesma forma que nas primitivas
+    rotate_about(graus, xp, yp) {
+        this.objetos.forEach(obj => obj.rotate_about(graus, xp, yp));
+        [ this.xc, this.yc ] = rotaciona_ponto(this.xc, this.yc, graus, xp, yp);
+        this.rotation = this.rotation_aplicada = normaliza_angulo(this.rotation + graus);
+    }
+
+    scale_about(fator, xp, yp) {
+        this.objetos.forEach(obj => obj.scale_about(fator, xp, yp));
+        this.xc = xp + fator * (this.xc - xp);
+        this.yc = yp + fator * (this.yc - yp);
+        this.escala = this.escala_aplicada = this.escala * fator;
+    }
+
+    mirror(rx1, ry1, rx2, ry2) {
+        this.objetos.forEach(obj => obj.mirror(rx1, ry1, rx2, ry2));
+
+        const bbox = this.boundingbox();
+        this.xc = bbox.xc;
+        this.yc = bbox.yc;
+        this.rotation = this.rotation_aplicada = 0;
+        this.escala = this.escala_aplicada = 1;
+    }
+
+    set_color(r, g, b, a) {
+        this.objetos.forEach(obj => obj.set_color(r, g, b, a));
+    }
+
+    set_traco(largura, extremidade, tracejado) {
+        this.objetos.forEach(obj => obj.set_traco(largura, extremidade, tracejado));
+    }
+
+    set_contorno(preenchido, cor_contorno, largura_contorno) {
+        this.objetos.forEach(obj => obj.set_contorno(preenchido, cor_contorno, largura_contorno));
+    }
+
+    set_marcador(tamanho, forma) {
+        this.objetos.forEach(obj => obj.set_marcador(tamanho, forma));
+    }
+
+    delete() {
+        this.objetos.forEach(obj => obj.delete());
+    }
+
+    // Estado do próprio conjunto (sem os objetos), usado pelo histórico para desfazer
+    // a rotação, a escala e o pivô (ver inicia_modificacao_selecao)
+    to_json() {
+        return {
+            "rotacao": this.rotation,
+            "escala": this.escala,
+            "centro": [ this.xc, this.yc ],
+        };
+    }
+
+    set_json(json) {
+        this.set_rotation(json.rotacao);
+        this.set_scale(json.escala);
+        this.rotation_aplicada = json.rotacao;
+        this.escala_aplicada = json.escala;
+        [ this.xc, this.yc ] = json.centro;
+    }
+}
+
+/**
+ * Grupo de objetos (pontos, linhas, polilinhas, polígonos e outros grupos) que é
+ * selecionado, transformado e salvo como uma unidade. Funciona como um Conjunto
+ * permanente: os objetos continuam nas listas de suas classes (e são desenhados
+ * normalmente) e as transformações do grupo são aplicadas diretamente neles, então
+ * desagrupar não muda a aparência de nada
+ */
+class Group extends Conjunto {
+    static list = [];
+
+    constructor(objetos) {
+        super(objetos);
+
+        this.constructor.list.push(this);
+    }
+
+    /** Retorna o grupo que contém diretamente o objeto, ou undefined */
+    static pai(obj) {
+        return this.list.find(g => g.objetos.includes(obj));
+    }
+
+    /** Retorna o grupo mais externo que contém o objeto, ou o próprio objeto */
+    static raiz(obj) {
+        let pai;
+        while ((pai = this.pai(obj)) != undefined) {
+            obj = pai;
+        }
+        return obj;
+    }
+
+    // Desfaz o grupo, mantendo os objetos (com as transformações do grupo já aplicadas)
+    ungroup() {
+        const index = this.constructor.list.indexOf(this);
+        if (index == -1) return;
+        this.constructor.list.splice(index, 1);
+    }
+
+    // Apaga o grupo e todos os seus objetos
+    delete() {
+        super.delete();
+        this.ungroup();
+    }
+
+    to_json() {
+        return {
+            "tipo": "grupo",
+            "objetos": this.objetos.map(obj => obj.to_json()),
+            ...super.to_json(),
+        };
+    }
+
+    set_json(json) {
+        this.objetos.forEach((obj, i) => obj.set_json(json.objetos[i]));
+        super.set_json(json);
+    }
+
+    static from_json(json) {
+        // objeto_de_json já restaura os objetos, então falta só o estado do grupo
+        const g = new Group(json.objetos.map(objeto_de_json));
+        Conjunto.prototype.set_json.call(g, json);
+        return g;
+    }
+}
+
 /** Função que retorna um dicionário com elementos DOM necessários e outras coisas */
 function get_elementos() {
     return {
@@ -1015,38 +2393,75 @@ function get_elementos() {
         "ponto_count": document.querySelector("#ponto_count"),
         "linha_count": document.querySelector("#linha_count"),
         "poligono_count": document.querySelector("#poligono_count"),
+        "polilinha_count": document.querySelector("#polilinha_count"),
+        "circulo_count": document.querySelector("#circulo_count"),
+        "elipse_count": document.querySelector("#elipse_count"),
         "msg": document.querySelector("#msg"),
         "debug_tri": document.querySelector("#debug_tri"),
         "fecho_convexo": document.querySelector("#fecho_convexo"),
+        "grade": document.querySelector("#grade"),
+        "snap_grade": document.querySelector("#snap_grade"),
+        "snap_objetos": document.querySelector("#snap_objetos"),
+        "grade_espacamento": document.querySelector("#grade_espacamento"),
+        "auto_arrange": document.querySelector("#auto_arrange"),
+        "historico_profundidade": document.querySelector("#historico_profundidade"),
         "slider_rot": document.querySelector("#slider-rot"),
+        "inspetor": document.querySelector("#inspetor"),
         "slider_esc": document.querySelector("#slider-esc"),
         "selected_controles": document.querySelector("#selected-controles"),
         "selected_controles2": document.querySelector("#selected-controles2"),
+        "dica_buraco": document.querySelector("#dica_buraco"),
         "botoes": {
             "point": document.querySelector("#btn_ponto"),
             "line": document.querySelector("#btn_linha"),
+            "polyline": document.querySelector("#btn_polilinha"),
             "polygon": document.querySelector("#btn_poligono"),
+            "circle": document.querySelector("#btn_circulo"),
+            "ellipse": document.querySelector("#btn_elipse"),
             "select": document.querySelector("#btn_selecionar"),
         },
         "btn_limpar": document.querySelector("#btn_limpar"),
+        "btn_salvar": document.querySelector("#btn_salvar"),
+        "btn_abrir": document.querySelector("#btn_abrir"),
+        "btn_exportar_svg": document.querySelector("#btn_exportar_svg"),
+        "btn_importar_svg": document.querySelector("#btn_importar_svg"),
+        "input_importar_svg": document.querySelector("#input_importar_svg"),
+        "input_abrir": document.querySelector("#input_abrir"),
         "btn_apagar": document.querySelector("#btn_apagar"),
         "btn_espelhar": document.querySelector("#btn_espelhar"),
-        "cores_elms": {
-            'vermelho' : document.querySelector("#cor_vermelho"),
-            'amarelo'  : document.querySelector("#cor_amarelo"),
-            'verde'    : document.querySelector("#cor_verde"),
-            'azul'     : document.querySelector("#cor_azul"),
-            'roxo'     : document.querySelector("#cor_roxo"),
-            'preto'    : document.querySelector("#cor_preto"),
+        "btn_vertices": document.querySelector("#btn_vertices"),
+        "btn_pivo": document.querySelector("#btn_pivo"),
+        "btn_pivo_centro": document.querySelector("#btn_pivo_centro"),
+        "btn_agrupar": document.querySelector("#btn_agrupar"),
+        "btn_frente": document.querySelector("#btn_frente"),
+        "btn_avancar": document.querySelector("#btn_avancar"),
+        "btn_recuar": document.querySelector("#btn_recuar"),
+        "btn_tras": document.querySelector("#btn_tras"),
+        "btn_desagrupar": document.querySelector("#btn_desagrupar"),
+        "traco_largura": document.querySelector("#traco_largura"),
+        "traco_extremidade": document.querySelector("#traco_extremidade"),
+        "traco_tracejado": document.querySelector("#traco_tracejado"),
+        "preenchimento": document.querySelector("#preenchimento"),
+        "contorno_largura": document.querySelector("#contorno_largura"),
+        "contorno_cor": document.querySelector("#contorno_cor"),
+        "ponto_tamanho": document.querySelector("#ponto_tamanho"),
+        "ponto_forma": document.querySelector("#ponto_forma"),
+        "cor_atual": document.querySelector("#cor_atual"),
+        "cor_alfa_valor": document.querySelector("#cor_alfa_valor"),
+        "cores_recentes": document.querySelector("#cores_recentes"),
+        "paleta": document.querySelector("#paleta"),
+        "btn_paleta_adicionar": document.querySelector("#btn_paleta_adicionar"),
+        "campos_cor": {
+            'nativa' : document.querySelector("#cor_nativa"),
+            'hex'    : document.querySelector("#cor_hex"),
+            'r'      : document.querySelector("#cor_r"),
+            'g'      : document.querySelector("#cor_g"),
+            'b'      : document.querySelector("#cor_b"),
+            'h'      : document.querySelector("#cor_h"),
+            's'      : document.querySelector("#cor_s"),
+            'v'      : document.querySelector("#cor_v"),
+            'alfa'   : document.querySelector("#cor_alfa"),
         },
-        "cores": {
-            'vermelho' : [255, 89, 94, 255],
-            'amarelo'  : [255, 202, 58, 255],
-            'verde'    : [138, 201, 38, 255],
-            'azul'     : [25, 130, 196, 255],
-            'roxo'     : [106, 76, 147, 255],
-            'preto'    : [0, 0, 0, 255],
-        }
     }
 }
 
@@ -1060,52 +2475,423 @@ function init_webgl(refs) {
 
     const program = initShaders(gl, "vs", "fs");
 
-    gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+    // Ajusta o buffer de desenho ao tamanho do canvas na página, inclusive quando a
+    // janela ou o zoom do navegador mudam o tamanho dele, e ao devicePixelRatio
+    redimensiona_canvas(gl, refs);
+    new ResizeObserver(() => redimensiona_canvas(gl, refs)).observe(refs.canvas);
+    observa_densidade(gl, refs);
+
     gl.clearColor(1, 1, 1, 1);
-    gl.lineWidth(3);
+
+    // Mistura as cores translúcidas com o que já foi desenhado. O alfa do buffer fica
+    // sempre 1, senão a página apareceria através do canvas
+    gl.enable(gl.BLEND);
+    gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
 
     // Inicializa classes primitivas
     Point.init(gl, program);
     Line.init(gl, program);
+    Polyline.init(gl, program);
     Polygon.init(gl, program);
+    Ellipse.init(gl, program);
+    Circle.init(gl, program);
+    Grade.init(gl, program);
 
     return [ gl, program ];
 }
 
-/** Função que inicializa os botões de seleção de cores */
+/**
+ * Função que redimensiona o canvas quando o devicePixelRatio muda sem que o tamanho do
+ * canvas na página mude (ex: a janela vai para um monitor de outra densidade), o que o
+ * ResizeObserver não detecta. A media query só vale para a densidade atual, então é
+ * refeita a cada mudança
+ */
+function observa_densidade(gl, refs) {
+    const consulta = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+    consulta.addEventListener("change", () => {
+        redimensiona_canvas(gl, refs);
+        observa_densidade(gl, refs);
+    }, { once: true });
+}
+
+/**
+ * Função que ajusta o buffer de desenho e o viewport ao tamanho do canvas na página. O
+ * buffer tem a resolução real da tela (tamanho CSS * devicePixelRatio), para que o
+ * desenho não fique borrado em telas de alta densidade
+ */
+function redimensiona_canvas(gl, refs) {
+    const densidade = window.devicePixelRatio || 1;
+    const largura = Math.max(1, Math.round(refs.canvas.clientWidth * densidade));
+    const altura = Math.max(1, Math.round(refs.canvas.clientHeight * densidade));
+
+    if (
+        refs.canvas.width == largura
+        && refs.canvas.height == altura
+        && Primitive.densidade == densidade
+    ) {
+        return;
+    }
+
+    // Mudar o tamanho do buffer apaga o desenho, então a cena precisa ser redesenhada
+    refs.canvas.width = largura;
+    refs.canvas.height = altura;
+    Primitive.densidade = densidade;
+    gl.viewport(0, 0, largura, altura);
+    Primitive.alteracoes++;
+}
+
+/**
+ * Função que inicializa o seletor de cores: o seletor do navegador, os campos
+ * hexadecimal, RGB e HSV, o slider de alfa, as cores recentes e a paleta salva
+ */
 function init_cores(refs, controle) {
-    const cores_elms = refs.cores_elms;
+    const campos = refs.campos_cor;
 
-    for (const key of Object.keys(cores_elms)) {
-        const btn = cores_elms[key];
-        btn.onclick = () => {
-            // Desseleciona todos (removendo a classe css "cor-selected")
-            Object.values(cores_elms).forEach((el) => el.className = "cor");
+    // Cada campo aplica a cor enquanto é editado. Valores incompletos (ex: campo vazio,
+    // hexadecimal pela metade) são ignorados até ficarem válidos
+    campos.nativa.oninput = () => {
+        const [ r, g, b ] = hex_para_cor(campos.nativa.value);
+        define_cor(refs, controle, [ r, g, b, controle.cor[3] ], "nativa");
+    };
+    campos.hex.oninput = () => {
+        const cor = hex_para_cor(campos.hex.value);
+        if (cor != undefined) {
+            define_cor(refs, controle, cor, "hex");
+        }
+    };
+    for (const campo of [ campos.r, campos.g, campos.b ]) {
+        campo.oninput = () => {
+            const rgb = [ campos.r, campos.g, campos.b ].map(c => valor_campo_cor(c, 255));
+            if (!rgb.includes(undefined)) {
+                define_cor(refs, controle, [ ...rgb, controle.cor[3] ], "rgb");
+            }
+        };
+    }
+    for (const campo of [ campos.h, campos.s, campos.v ]) {
+        campo.oninput = () => {
+            const hsv = [ campos.h, campos.s, campos.v ].map(c => valor_campo_cor(c, Number(c.max)));
+            if (!hsv.includes(undefined)) {
+                define_cor(refs, controle, [ ...hsv_para_rgb(...hsv), controle.cor[3] ], "hsv");
+            }
+        };
+    }
+    campos.alfa.oninput = () => {
+        const alfa = Number(campos.alfa.value);
+        define_cor(refs, controle, [ ...controle.cor.slice(0, 3), alfa ], "alfa");
+    };
+
+    // Ao terminar a edição (soltar o slider, fechar o seletor, Enter ou sair do campo),
+    // a alteração vira um único passo no histórico e a cor entra nas recentes
+    for (const campo of Object.values(campos)) {
+        campo.onchange = () => conclui_cor(refs, controle);
+    }
+
+    // Adiciona a cor atual à paleta salva
+    refs.btn_paleta_adicionar.onclick = () => {
+        if (controle.paleta.some(cor => String(cor) == String(controle.cor))) {
+            refs.msg.textContent = "A cor já está na paleta";
+            return;
+        }
+        controle.paleta.push(controle.cor.slice());
+        atualiza_paleta(refs, controle);
+    };
+
+    mostra_cor(refs, controle);
+    mostra_paleta(refs, controle);
+}
+
+/**
+ * Função que retorna o valor inteiro de um campo numérico do seletor de cores, limitado
+ * a [0, max], ou undefined se o campo estiver vazio ou inválido
+ */
+function valor_campo_cor(campo, max) {
+    const valor = Number(campo.value);
+    if (campo.value.trim() == "" || !Number.isFinite(valor)) return;
+
+    return inteiro_entre(valor, 0, max);
+}
+
+/**
+ * Função que define a cor atual, mostrando-a no seletor (exceto no campo de origem,
+ * que está sendo editado) e aplicando-a ao polígono em desenho e ao objeto selecionado.
+ * A alteração do objeto só é registrada no histórico em finaliza_modificacao_cor
+ */
+function define_cor(refs, controle, cor, origem) {
+    controle.cor = cor;
+    mostra_cor(refs, controle, origem);
+
+    // Muda a cor do polígono ou da polilinha se estiverem sendo desenhados
+    const polygon_tmp = controle.polygon_tmp;
+    if (polygon_tmp != undefined) {
+        polygon_tmp.set_color(...cor);
+    }
+    const polyline_tmp = controle.polyline_tmp;
+    if (polyline_tmp != undefined) {
+        polyline_tmp.set_color(...cor);
+    }
+    const polygon_first_line = controle.polygon_first_line;
+    if (polygon_first_line != undefined) {
+        polygon_first_line.set_color(...cor);
+    }
+
+    // Muda a cor de objeto selecionado
+    if (controle.selected_obj != undefined) {
+        if (controle.modificacao_cor == undefined) {
+            controle.modificacao_cor = inicia_modificacao_selecao(controle);
+        }
+        controle.selected_obj.set_color(...cor);
+    }
+}
+
+/** Função que registra no histórico a alteração de cor do objeto selecionado */
+function finaliza_modificacao_cor(controle) {
+    controle.historico.finaliza_modificacao(controle.modificacao_cor);
+    controle.modificacao_cor = undefined;
+}
+
+/**
+ * Função que termina a escolha de uma cor: registra a alteração do objeto selecionado
+ * (ver finaliza_modificacao_cor) e coloca a cor nas recentes
+ */
+function conclui_cor(refs, controle) {
+    finaliza_modificacao_cor(controle);
+
+    adiciona_cor_recente(controle.cores_recentes, controle.cor);
+    mostra_amostras(refs, controle, refs.cores_recentes, controle.cores_recentes);
+
+    // Descarta o que ficou inválido nos campos (ex: hexadecimal incompleto)
+    mostra_cor(refs, controle);
+}
+
+/** Função que escolhe uma cor pronta (recente ou da paleta) com um clique */
+function escolhe_cor(refs, controle, cor) {
+    define_cor(refs, controle, cor.slice());
+    conclui_cor(refs, controle);
+}
+
+/**
+ * Função que mostra a cor atual em todos os campos do seletor, exceto no campo de
+ * origem da alteração ("nativa", "hex", "rgb", "hsv" ou "alfa"). Os campos HSV de origem
+ * são mantidos mesmo quando a conversão de volta os mudaria (ex: matiz de um cinza)
+ */
+function mostra_cor(refs, controle, origem) {
+    const campos = refs.campos_cor;
+    const cor = controle.cor;
+    const [ r, g, b, a ] = cor;
+
+    pinta_amostra(refs.cor_atual, cor);
+    if (origem != "nativa") {
+        campos.nativa.value = cor_para_hex([ r, g, b, 255 ]);
+    }
+    if (origem != "hex") {
+        campos.hex.value = cor_para_hex(cor);
+    }
+    if (origem != "rgb") {
+        [ campos.r.value, campos.g.value, campos.b.value ] = [ r, g, b ];
+    }
+    if (origem != "hsv") {
+        const [ h, s, v ] = rgb_para_hsv(r, g, b).map(Math.round);
+        [ campos.h.value, campos.s.value, campos.v.value ] = [ h, s, v ];
+    }
+    campos.alfa.value = a;
+    refs.cor_alfa_valor.textContent = a;
+}
+
+/** Função que pinta o elemento de amostra (classe css "cor") com a cor */
+function pinta_amostra(el, cor) {
+    el.style.setProperty("--cor", cor_css(cor));
+    el.title = cor_para_hex(cor);
+}
+
+/**
+ * Função que mostra as cores como amostras no contêiner. Clicar em uma amostra escolhe
+ * a cor. Se remove for dado, o clique com o botão direito chama remove(i)
+ */
+function mostra_amostras(refs, controle, container, cores, remove) {
+    container.replaceChildren(...cores.map((cor, i) => {
+        const amostra = document.createElement("span");
+        amostra.className = "cor";
+        pinta_amostra(amostra, cor);
+        amostra.onclick = () => escolhe_cor(refs, controle, cor);
+        if (remove != undefined) {
+            amostra.oncontextmenu = (e) => {
+                e.preventDefault();
+                remove(i);
+            };
+        }
+        return amostra;
+    }));
+}
+
+/** Função que salva a paleta no localStorage e a mostra de novo */
+function atualiza_paleta(refs, controle) {
+    if (!salva_paleta(controle.paleta)) {
+        refs.msg.textContent = "Não foi possível salvar a paleta neste navegador";
+    }
+    mostra_paleta(refs, controle);
+}
+
+/** Função que mostra a paleta salva. O clique com o botão direito remove uma cor */
+function mostra_paleta(refs, controle) {
+    mostra_amostras(refs, controle, refs.paleta, controle.paleta, (i) => {
+        controle.paleta.splice(i, 1);
+        atualiza_paleta(refs, controle);
+    });
+}
+
+/**
+ * Função que inicializa os campos de traço (largura, pontas e tracejado), que valem
+ * para as linhas novas e as linhas selecionadas
+ */
+function init_traco(refs, controle) {
+    const campos = [ refs.traco_largura, refs.traco_extremidade, refs.traco_tracejado ];
+    for (const campo of campos) {
+        campo.onchange = () => {
+            const traco = {
+                "largura": Number(refs.traco_largura.value),
+                "extremidade": refs.traco_extremidade.value,
+                "tracejado": numeros_svg(refs.traco_tracejado.value),
+            };
+
+            campos.forEach(c => c.classList.remove("invalido"));
+            try {
+                valida_traco(traco, "traço");
+            } catch (erro) {
+                campo.classList.add("invalido");
+                refs.msg.textContent = `Valor inválido: ${erro.message}`;
+                return;
+            }
+            controle.traco = traco;
+
+            // Muda o traço das linhas selecionadas (inclusive dentro de grupos)
+            if (controle.selected_obj != undefined) {
+                const modificacao = inicia_modificacao_selecao(controle);
+                controle.selected_obj.set_traco(traco.largura, traco.extremidade, traco.tracejado);
+                controle.historico.finaliza_modificacao(modificacao);
+            }
+        };
+    }
+
+    mostra_traco(refs, controle);
+}
+
+/** Função que mostra o traço atual nos campos de traço */
+function mostra_traco(refs, controle) {
+    const { largura, extremidade, tracejado } = controle.traco;
+    refs.traco_largura.value = largura;
+    refs.traco_extremidade.value = extremidade;
+    refs.traco_tracejado.value = tracejado.join(" ");
+
+    for (const campo of [ refs.traco_largura, refs.traco_extremidade, refs.traco_tracejado ]) {
+        campo.classList.remove("invalido");
+    }
+}
+
+/**
+ * Função que inicializa os campos de preenchimento e contorno, que valem para os
+ * polígonos novos e os polígonos selecionados
+ */
+function init_contorno(refs, controle) {
+    const campos = [ refs.preenchimento, refs.contorno_largura, refs.contorno_cor ];
+    for (const campo of campos) {
+        campo.onchange = () => {
+            // Tirar o preenchimento de um polígono sem contorno o deixaria invisível
+            if (campo == refs.preenchimento && !campo.checked && refs.contorno_largura.value == 0) {
+                refs.contorno_largura.value = 1;
+            }
 
-            // Seleciona o atual (que é o botão que foi clicado)
-            btn.className = "cor cor-selected";
+            // O seletor do navegador não tem alfa, então a transparência atual é mantida
+            const [ r, g, b ] = hex_para_cor(refs.contorno_cor.value);
+            const contorno = {
+                "preenchido": refs.preenchimento.checked,
+                "cor_contorno": [ r, g, b, controle.contorno.cor_contorno[3] ],
+                "largura_contorno": Number(refs.contorno_largura.value),
+            };
 
-            // Seta a cor nas variáveis de controle
-            controle.cor = refs.cores[key];
+            campos.forEach(c => c.classList.remove("invalido"));
+            try {
+                valida_contorno(contorno, "polígono");
+            } catch (erro) {
+                campo.classList.add("invalido");
+                refs.msg.textContent = `Valor inválido: ${erro.message}`;
+                return;
+            }
+            controle.contorno = contorno;
 
-            // Muda a cor do polígono se ele estiver sendo desenhado
-            const polygon_tmp = controle.polygon_tmp;
-            if (polygon_tmp != undefined) {
-                polygon_tmp.set_color(...controle.cor);
+            // Muda os polígonos selecionados (inclusive dentro de grupos)
+            if (controle.selected_obj != undefined) {
+                const modificacao = inicia_modificacao_selecao(controle);
+                controle.selected_obj.set_contorno(
+                    contorno.preenchido, contorno.cor_contorno, contorno.largura_contorno);
+                controle.historico.finaliza_modificacao(modificacao);
             }
-            const polygon_first_line = controle.polygon_first_line;
-            if (polygon_first_line != undefined) {
-                polygon_first_line.set_color(...controle.cor);
+        };
+    }
+
+    mostra_contorno(refs, controle);
+}
+
+/** Função que mostra o preenchimento e o contorno atuais nos campos de contorno */
+function mostra_contorno(refs, controle) {
+    const { preenchido, cor_contorno, largura_contorno } = controle.contorno;
+    refs.preenchimento.checked = preenchido;
+    refs.contorno_largura.value = largura_contorno;
+    refs.contorno_cor.value = cor_para_hex([ ...cor_contorno.slice(0, 3), 255 ]);
+
+    for (const campo of [ refs.preenchimento, refs.contorno_largura, refs.contorno_cor ]) {
+        campo.classList.remove("invalido");
+    }
+}
+
+/**
+ * Função que inicializa os campos do marcador (tamanho e forma), que valem para os
+ * pontos novos e os pontos selecionados
+ */
+function init_marcador(refs, controle) {
+    const campos = [ refs.ponto_tamanho, refs.ponto_forma ];
+    for (const campo of campos) {
+        campo.onchange = () => {
+            const marcador = {
+                "tamanho": Number(refs.ponto_tamanho.value),
+                "forma": refs.ponto_forma.value,
+            };
+
+            campos.forEach(c => c.classList.remove("invalido"));
+            try {
+                valida_marcador(marcador, "ponto");
+            } catch (erro) {
+                campo.classList.add("invalido");
+                refs.msg.textContent = `Valor inválido: ${erro.message}`;
+                return;
             }
+            controle.marcador = marcador;
 
-            // Muda a cor de objeto selecionado
+            // Muda os pontos selecionados (inclusive dentro de grupos)
             if (controle.selected_obj != undefined) {
-                controle.selected_obj.color = controle.cor;
+                const modificacao = inicia_modificacao_selecao(controle);
+                controle.selected_obj.set_marcador(marcador.tamanho, marcador.forma);
+                controle.historico.finaliza_modificacao(modificacao);
             }
-        }
+        };
+    }
+
+    mostra_marcador(refs, controle);
+}
+
+/** Função que mostra o marcador atual nos campos de marcador */
+function mostra_marcador(refs, controle) {
+    refs.ponto_tamanho.value = controle.marcador.tamanho;
+    refs.ponto_forma.value = controle.marcador.forma;
+
+    for (const campo of [ refs.ponto_tamanho, refs.ponto_forma ]) {
+        campo.classList.remove("invalido");
     }
 }
 
+/** Mensagem de status exibida durante o desenho de um polígono */
+const MSG_DESENHO_POLIGONO = "Aperte ESC para finalizar o polígono ou \
+    Ctrl+Clique para adicionar um último ponto";
+
 /** Função que finaliza/interrompe o desenho de um polígono */
 function finaliza_polygon(refs, controle) {
     const polygon_tmp = controle.polygon_tmp;
@@ -1121,13 +2907,22 @@ function finaliza_polygon(refs, controle) {
     polygon_tmp.vertices.pop();
 
     // Depois de remover o último vértice, temos que retriangular
-    polygon_tmp.sort_vertices();
-    polygon_tmp.triangulate();
+    polygon_tmp.build_ring();
+    const triangulou = polygon_tmp.triangulate();
+
+    // Limpa mensagem de status
+    refs.msg.textContent = "";
 
     // Se o polígono sendo desenhado tiver menos do que 3 vértices (lembrar que o último
     // foi removido), significa que ele não é um polígono, então deve ser deletado.
+    const valido = polygon_tmp.vertices.length/2 >= 3 && triangulou;
     if (polygon_tmp.vertices.length/2 < 3) {
         polygon_tmp.delete();
+    } else if (!triangulou) {
+        // Polígono que não pôde ser triangulado não seria desenhado, então também é
+        // deletado, avisando o motivo
+        polygon_tmp.delete();
+        refs.msg.textContent = `Polígono descartado: ${polygon_tmp.erro_triangulacao}`;
     }
 
     // Se a linha temporária do primeiro polígono ainda estiver desenhada, também
@@ -1136,12 +2931,70 @@ function finaliza_polygon(refs, controle) {
         polygon_first_line.delete();
     }
 
-    // Limpa mensagem de status
-    refs.msg.textContent = "";
-
     // Remove objetos temporários
     controle.polygon_tmp = undefined;
     controle.polygon_first_line = undefined;
+
+    if (valido) {
+        registra_criacao(controle, polygon_tmp);
+    }
+}
+
+/** Mensagem de status exibida durante o desenho de uma polilinha */
+const MSG_DESENHO_POLILINHA = "Aperte ESC para finalizar a polilinha ou \
+    Ctrl+Clique para adicionar um último ponto";
+
+/**
+ * Função que finaliza o desenho de uma polilinha. Se remove_last for true, descarta o
+ * último vértice (o que segue o mouse), como no ESC. Polilinhas sem nenhum segmento são
+ * descartadas
+ */
+function finaliza_polilinha(refs, controle, remove_last) {
+    const polyline_tmp = controle.polyline_tmp;
+
+    // Nada a fazer se não estivermos durante o desenho de uma polilinha
+    if (polyline_tmp == undefined) {
+        return;
+    }
+
+    refs.msg.textContent = "";
+    controle.polyline_tmp = undefined;
+
+    if (polyline_tmp.finish(remove_last)) {
+        registra_criacao(controle, polyline_tmp);
+    } else {
+        polyline_tmp.delete();
+    }
+}
+
+/** Mensagem de status exibida durante o desenho de um buraco */
+const MSG_DESENHO_BURACO = "Clique para adicionar vértices ao buraco. Aperte ESC para \
+    finalizar o buraco ou Ctrl+Clique para adicionar um último ponto";
+
+const MSG_EDICAO_VERTICES = "Arraste as alças para mover os vértices. Clique em uma aresta \
+    do polígono para inserir um vértice ou selecione um vértice e aperte Delete para removê-lo";
+
+/**
+ * Função que finaliza o desenho de um buraco no polígono selecionado. Se remove_last
+ * for true, descarta o último vértice (o que segue o mouse), como no ESC
+ */
+function finaliza_buraco(refs, controle, remove_last) {
+    const hole_polygon = controle.hole_polygon;
+
+    // Nada a fazer se não estivermos durante o desenho de um buraco
+    if (hole_polygon == undefined) {
+        return;
+    }
+
+    // Buracos inválidos (ex: fora do polígono) são descartados
+    const erro = hole_polygon.finish_hole(remove_last);
+    refs.msg.textContent = erro == undefined ? "" : `Buraco descartado: ${erro}`;
+
+    // Se o buraco foi descartado, o polígono volta ao estado anterior e nada é registrado
+    controle.historico.finaliza_modificacao(controle.modificacao_buraco);
+
+    controle.hole_polygon = undefined;
+    controle.modificacao_buraco = undefined;
 }
 
 /**
@@ -1153,32 +3006,58 @@ function reset_controles(refs, controle) {
     if (controle.line_tmp != undefined) controle.line_tmp.delete();
     if (controle.polygon_tmp != undefined) controle.polygon_tmp.delete();
     if (controle.polygon_first_line != undefined) controle.polygon_first_line.delete();
+    if (controle.polyline_tmp != undefined) controle.polyline_tmp.delete();
+    if (controle.forma_tmp != undefined) controle.forma_tmp.delete();
     if (controle.hoverbox != undefined) controle.hoverbox.delete();
+    remove_retangulo_selecao(controle);
+    draw_marcador_snap(controle, undefined);
+    finaliza_buraco(refs, controle, true);
 
     // Esconde controles de objeto selecionado
     refs.selected_controles.hidden = true;
     refs.selected_controles2.hidden = true;
 
+    // Espelhamento, definição do pivô e edição de vértices dependem do objeto selecionado
+    if (
+        controle.ferramenta == "mirror"
+        || controle.ferramenta == "pivot"
+        || controle.ferramenta == "vertices"
+    ) {
+        controle.ferramenta = "select";
+    }
+    refs.btn_espelhar.className = "";
+    refs.btn_pivo.className = "";
+    refs.btn_vertices.className = "";
+    finaliza_edicao_vertice(refs, controle);
+    controle.vertice_selecionado = undefined;
+
     // Reseta valores iniciais
     controle.line_tmp = undefined;
     controle.polygon_tmp = undefined;
     controle.polygon_first_line = undefined;
+    controle.polyline_tmp = undefined;
+    controle.forma_tmp = undefined;
+    controle.inicio_forma = undefined;
+    controle.hole_polygon = undefined;
     controle.mouseX = undefined;
     controle.mouseY = undefined;
     controle.hoverbox = undefined;
     controle.hovered_obj = undefined;
     controle.selected_obj = undefined;
     controle.arrastando = false;
+    controle.arraste_temporario = false;
 }
 
 /**
- * Efeito de rubber band. Atualiza a posição do último vértice da linha ou do polígono
- * temporário. Deve ser chamada dentro do handler do mousemove.
+ * Efeito de rubber band. Atualiza a posição do último vértice da linha, do polígono ou
+ * da polilinha temporária. Deve ser chamada dentro do handler do mousemove.
  */
 function rubber_band(mouseX, mouseY, controle) {
     const line_tmp = controle.line_tmp;
     const polygon_tmp = controle.polygon_tmp;
+    const polyline_tmp = controle.polyline_tmp;
     const polygon_first_line = controle.polygon_first_line;
+    const hole_polygon = controle.hole_polygon;
 
     if (line_tmp != undefined) {
         line_tmp.set_position(line_tmp.x1, line_tmp.y1, mouseX, mouseY);
@@ -1186,10 +3065,16 @@ function rubber_band(mouseX, mouseY, controle) {
     if (polygon_tmp != undefined) {
         polygon_tmp.update_last_vertex(mouseX, mouseY);
     }
+    if (polyline_tmp != undefined) {
+        polyline_tmp.update_last_vertex(mouseX, mouseY);
+    }
     if (polygon_first_line != undefined) {
         polygon_first_line.set_position(
             polygon_first_line.x1, polygon_first_line.y1, mouseX, mouseY);
     }
+    if (hole_polygon != undefined) {
+        hole_polygon.update_last_hole_vertex(mouseX, mouseY);
+    }
 }
 
 /** Retorna == 0 se três pontos colineares, > 0 se horário, e < 0 se anti-horário */
@@ -1197,6 +3082,206 @@ function orientacao_3_pontos(p1, p2, p3) {
     return (p2.y - p1.y) * (p3.x - p2.x) - (p2.x - p1.x) * (p3.y - p2.y);
 }
 
+// Menor espaçamento da grade na tela (em pixels) para que ela seja desenhada
+const GRADE_MIN_PX = 4;
+
+/**
+ * Retorna o ponto (x, y) do mundo alinhado à interseção mais próxima da grade, se o
+ * snap estiver ativo, ou o próprio ponto caso contrário
+ */
+function ajusta_a_grade(controle, x, y) {
+    if (!controle.snap_grade) return [ x, y ];
+
+    const espacamento = controle.espacamento_grade;
+    return [
+        Math.round(x / espacamento) * espacamento,
+        Math.round(y / espacamento) * espacamento,
+    ];
+}
+
+/**
+ * Retorna o ponto em que os segmentos ab e cd se cruzam, ou undefined se eles não se
+ * cruzam propriamente (ver segmentos_se_cruzam em triangulacao.js)
+ */
+function intersecao_segmentos(a, b, c, d) {
+    if (!segmentos_se_cruzam(a, b, c, d)) return undefined;
+
+    // a + t * (b - a), com t tal que o ponto fica sobre cd
+    const den = (b.x - a.x) * (d.y - c.y) - (b.y - a.y) * (d.x - c.x);
+    const t = ((c.x - a.x) * (d.y - c.y) - (c.y - a.y) * (d.x - c.x)) / den;
+    return { x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y) };
+}
+
+/**
+ * Retorna [distância, xp, yp], onde (xp, yp) é o ponto do segmento (x1, y1)-(x2, y2)
+ * mais próximo de (x, y)
+ */
+function distancia_segmento(x, y, x1, y1, x2, y2) {
+    const [ dx, dy ] = [ x2 - x1, y2 - y1 ];
+    const comprimento2 = dx*dx + dy*dy;
+    const t = comprimento2 == 0
+        ? 0
+        : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / comprimento2));
+    const [ xp, yp ] = [ x1 + t * dx, y1 + t * dy ];
+
+    return [ Math.hypot(x - xp, y - yp), xp, yp ];
+}
+
+/**
+ * Função que retorna os pontos do desenho em que o cursor pode se alinhar perto de
+ * (x, y): pontos, extremos e pontos médios de linhas, vértices de polilinhas e de
+ * polígonos (inclusive dos buracos), centros de elipses e interseções entre linhas.
+ * Assim como get_all_points(), usa as coordenadas atuais dos objetos, mas ignora os
+ * objetos temporários
+ */
+function pontos_de_snap(controle, x, y) {
+    const pontos = [];
+    const linhas_perto = [];
+
+    for (const obj of objetos_da_cena(controle)) {
+        if (obj instanceof Point) {
+            pontos.push({ x: obj.x, y: obj.y });
+        } else if (obj instanceof Line) {
+            pontos.push(
+                { x: obj.x1, y: obj.y1 },
+                { x: obj.x2, y: obj.y2 },
+                { x: (obj.x1 + obj.x2) / 2, y: (obj.y1 + obj.y2) / 2 },
+            );
+
+            // Só as linhas que passam perto de (x, y) podem se cruzar perto dele
+            if (obj.contem(x, y)) linhas_perto.push(obj);
+        } else if (obj instanceof Polyline) {
+            pontos.push(...obj.vertices);
+        } else if (obj instanceof Ellipse) {
+            pontos.push({ x: obj.cx, y: obj.cy });
+        } else if (obj instanceof Polygon) {
+            pontos.push(...obj.rings().flat());
+        }
+    }
+
+    for (let i = 0; i < linhas_perto.length; i++) {
+        for (let j = i+1; j < linhas_perto.length; j++) {
+            const [ l1, l2 ] = [ linhas_perto[i], linhas_perto[j] ];
+            const p = intersecao_segmentos(
+                { x: l1.x1, y: l1.y1 }, { x: l1.x2, y: l1.y2 },
+                { x: l2.x1, y: l2.y1 }, { x: l2.x2, y: l2.y2 },
+            );
+            if (p != undefined) pontos.push(p);
+        }
+    }
+
+    return pontos;
+}
+
+/**
+ * Retorna o ponto de snap a objetos mais próximo de (x, y), dentro da tolerância de pick,
+ * como [x, y]. O snap a objetos só vale ao desenhar linhas, polilinhas, polígonos,
+ * círculos e elipses. Retorna undefined se ele estiver desativado ou se não houver
+ * nenhum ponto perto
+ */
+function ponto_de_snap(controle, x, y) {
+    if (!controle.snap_objetos) return undefined;
+    if (![ "line", "polyline", "polygon", "circle", "ellipse" ].includes(controle.ferramenta)) {
+        return undefined;
+    }
+
+    // Mesmo retângulo de tolerância do pick de pontos (ver Point.contem)
+    const tol = Primitive.tol;
+    let melhor = undefined;
+    for (const p of pontos_de_snap(controle, x, y)) {
+        if (Math.abs(p.x - x) >= tol || Math.abs(p.y - y) >= tol) continue;
+        if (melhor == undefined || sqdist(p, x, y) < sqdist(melhor, x, y)) {
+            melhor = p;
+        }
+    }
+
+    return melhor == undefined ? undefined : [ melhor.x, melhor.y ];
+}
+
+/**
+ * Retorna a posição (x, y) do mundo ajustada pelos snaps ativos. O snap a objetos tem
+ * prioridade sobre o snap à grade
+ */
+function ajusta_posicao(controle, x, y) {
+    return ponto_de_snap(controle, x, y) ?? ajusta_a_grade(controle, x, y);
+}
+
+// Limites do zoom e fator aplicado a cada passo da roda do mouse
+const ZOOM_MIN = 0.1;
+const ZOOM_MAX = 20;
+const FATOR_ZOOM = 1.1;
+
+/** Converte o ponto (x, y) do canvas, em pixels, para as coordenadas do mundo */
+function tela_para_mundo(x, y) {
+    return [ (x - Primitive.pan_x) / Primitive.zoom, (y - Primitive.pan_y) / Primitive.zoom ];
+}
+
+/**
+ * Multiplica o zoom por fator mantendo o ponto do mundo sob o pixel (x, y) do canvas no
+ * mesmo lugar (zoom em torno do cursor). O zoom fica limitado a [ZOOM_MIN, ZOOM_MAX]
+ */
+function aplica_zoom(fator, x, y) {
+    const [ xm, ym ] = tela_para_mundo(x, y);
+    Primitive.zoom = Math.min(ZOOM_MAX, Math.max(ZOOM_MIN, Primitive.zoom * fator));
+    Primitive.pan_x = x - xm * Primitive.zoom;
+    Primitive.pan_y = y - ym * Primitive.zoom;
+    Primitive.alteracoes++;
+}
+
+/** Desloca a visualização em (dx, dy) pixels */
+function aplica_pan(dx, dy) {
+    Primitive.pan_x += dx;
+    Primitive.pan_y += dy;
+    Primitive.alteracoes++;
+}
+
+/** Retorna o ponto (x, y) rotacionado de graus em torno de (xp, yp) */
+function rotaciona_ponto(x, y, graus, xp, yp) {
+    const theta = graus * Math.PI / 180;
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+
+    return [
+        xp + (x - xp) * cos - (y - yp) * sin,
+        yp + (x - xp) * sin + (y - yp) * cos,
+    ];
+}
+
+/** Retorna o ponto (x, y) espelhado em relação à reta que passa por (rx1, ry1) e (rx2, ry2) */
+function espelha_ponto(x, y, rx1, ry1, rx2, ry2) {
+    // Translada (-rx1, -ry1)
+    x -= rx1;
+    y -= ry1;
+
+    // Encontra ângulo entre a reta e o eixo Ox
+    const theta = Math.atan2(ry2-ry1, rx2-rx1);
+
+    // Rotaciona pontos de -theta
+    let cos = Math.cos(-theta);
+    let sin = Math.sin(-theta);
+
+    let tmp_x = x * cos - y * sin;
+    let tmp_y = x * sin + y * cos;
+
+    // Espelha em relação ao eixo Ox
+    tmp_y = -tmp_y;
+
+    // Rotaciona pontos de +theta
+    cos = Math.cos(theta);
+    sin = Math.sin(theta);
+
+    x = tmp_x * cos - tmp_y * sin;
+    y = tmp_x * sin + tmp_y * cos;
+
+    // Translada (+rx1, +ry1)
+    return [ x + rx1, y + ry1 ];
+}
+
+/** Retorna o ângulo equivalente no intervalo [-180, 180) (o intervalo do slider) */
+function normaliza_angulo(graus) {
+    return ((graus + 180) % 360 + 360) % 360 - 180;
+}
+
 // Retorna coordenada polar do ponto em relação ao ponto (xcm, ycm)
 function polar(ponto, xcm, ycm) {
     return Math.atan2(ponto.y - ycm, ponto.x - xcm);
@@ -1218,13 +3303,142 @@ function ordena_anti_horario2(points) {
     xc /= points.length;
     yc /= points.length;
 
-    for (const p of points) {
-        p.polar = polar(p, xc, yc);
-        p.sqdist = sqdist (p, xc, yc);
-    }
+    for (const p of points) {
+        p.polar = polar(p, xc, yc);
+        p.sqdist = sqdist (p, xc, yc);
+    }
+
+    points.sort((a, b) => a.polar - b.polar || a.sqdist - b.sqdist);
+    return points;
+}
+
+/**
+ * Função que retorna todas as primitivas que fazem parte do desenho, na ordem em que são
+ * desenhadas (ordem de empilhamento, z), sem os objetos temporários (hoverbox, fecho
+ * convexo, objeto sendo desenhado, etc)
+ */
+function objetos_da_cena(controle) {
+    const temporarios = [
+        controle.line_tmp,
+        controle.polygon_tmp,
+        controle.polygon_first_line,
+        controle.polyline_tmp,
+        controle.forma_tmp,
+        ...(controle.hoverbox != undefined ? controle.hoverbox.lines : []),
+        ...(controle.fecho_convexo != undefined ? controle.fecho_convexo : []),
+        ...(controle.retangulo_selecao != undefined ? controle.retangulo_selecao.box.lines : []),
+        ...(controle.marcador_pivo != undefined ? controle.marcador_pivo.lines : []),
+        ...(controle.marcador_snap != undefined ? controle.marcador_snap.lines : []),
+        ...controle.alcas_vertices.flatMap(alca => alca.lines),
+    ];
+
+    return [ ...primitivas_desenhaveis() ]
+        .filter(obj => !temporarios.includes(obj))
+        .sort((a, b) => a.z - b.z);
+}
+
+/** Classes das primitivas do desenho (sem a grade de fundo) */
+const CLASSES_PRIMITIVAS = [ Polygon, Ellipse, Circle, Polyline, Line, Point ];
+
+/** Função que retorna todas as primitivas existentes, inclusive as temporárias */
+function primitivas_desenhaveis() {
+    return CLASSES_PRIMITIVAS.flatMap(classe => classe.list);
+}
+
+/** Função que retorna as primitivas de um objeto (o próprio objeto, se não for grupo) */
+function primitivas(obj) {
+    return obj instanceof Conjunto ? obj.objetos.flatMap(primitivas) : [ obj ];
+}
+
+/**
+ * Função que muda a posição dos objetos selecionados na ordem de empilhamento:
+ * "frente" e "tras" levam para a frente/para trás de todos, e "avancar" e "recuar"
+ * passam cada objeto selecionado por cima/por baixo do objeto vizinho. Os objetos de
+ * um grupo são movidos juntos
+ */
+function reordena(refs, controle, comando) {
+    const selecionados = objetos_selecionados(controle).flatMap(primitivas);
+    if (selecionados.length == 0) return;
+
+    const objetos = objetos_da_cena(controle);
+    const sel = (obj) => selecionados.includes(obj);
+
+    let ordem;
+    if (comando == "frente") {
+        ordem = [ ...objetos.filter(obj => !sel(obj)), ...objetos.filter(sel) ];
+    } else if (comando == "tras") {
+        ordem = [ ...objetos.filter(sel), ...objetos.filter(obj => !sel(obj)) ];
+    } else if (comando == "avancar") {
+        ordem = objetos.slice();
+        for (let i = ordem.length-2; i >= 0; i--) {
+            if (sel(ordem[i]) && !sel(ordem[i+1])) {
+                [ ordem[i], ordem[i+1] ] = [ ordem[i+1], ordem[i] ];
+            }
+        }
+    } else if (comando == "recuar") {
+        ordem = objetos.slice();
+        for (let i = 1; i < ordem.length; i++) {
+            if (sel(ordem[i]) && !sel(ordem[i-1])) {
+                [ ordem[i], ordem[i-1] ] = [ ordem[i-1], ordem[i] ];
+            }
+        }
+    }
+
+    // Redistribui os mesmos valores de z na nova ordem, mexendo apenas nos objetos que
+    // mudaram de posição
+    const zs = objetos.map(obj => obj.z);
+    const alterados = ordem.filter((obj, i) => obj != objetos[i]);
+    const modificacao = controle.historico.inicia_modificacao(alterados);
+    ordem.forEach((obj, i) => obj.set_z(zs[i]));
+    controle.historico.finaliza_modificacao(modificacao);
+}
+
+/**
+ * Função que desenha os objetos na ordem da lista. Cada sequência de objetos da mesma
+ * classe é desenhada com uma única chamada de draw(). Cada classe guarda seus objetos
+ * nos buffers na mesma ordem, então cada sequência é uma faixa contínua dos buffers
+ */
+function desenha_em_ordem(objetos) {
+    for (const classe of CLASSES_PRIMITIVAS) {
+        classe.prepara(objetos.filter(obj => obj.constructor == classe));
+    }
+
+    let inicio = 0;
+    for (let i = 1; i <= objetos.length; i++) {
+        if (i == objetos.length || objetos[i].constructor != objetos[inicio].constructor) {
+            objetos[inicio].constructor.draw(undefined, objetos.slice(inicio, i));
+            inicio = i;
+        }
+    }
+}
+
+/**
+ * Função que retorna os objetos do desenho que não estão dentro de nenhum grupo, junto
+ * com os grupos mais externos
+ */
+function objetos_de_topo(controle) {
+    return [ ...objetos_da_cena(controle), ...Group.list ]
+        .filter(obj => Group.pai(obj) == undefined);
+}
+
+/**
+ * Função que retorna um retrato das listas de primitivas para o histórico (ver
+ * ComandoListas), apenas com os objetos do desenho. Os objetos em excluidos são
+ * deixados de fora
+ */
+function retrato_cena(controle, excluidos = []) {
+    const objetos = [ ...objetos_da_cena(controle), ...Group.list ]
+        .filter(obj => !excluidos.includes(obj));
+    return [ ...CLASSES_PRIMITIVAS, Group ].map(classe => [
+        classe,
+        objetos.filter(obj => obj.constructor == classe),
+    ]);
+}
 
-    points.sort((a, b) => a.polar - b.polar || a.sqdist - b.sqdist);
-    return points;
+/** Função que registra no histórico a criação de um objeto (que já está na lista) */
+function registra_criacao(controle, obj) {
+    const antes = retrato_cena(controle, [ obj ]);
+    controle.historico.registra(new ComandoListas(antes, retrato_cena(controle)));
 }
 
 /** Função que retorna todos os pontos de todas as primitivas */
@@ -1254,10 +3468,35 @@ function get_all_points(controle) {
             continue;
         }
 
+        // Não incluir linhas dos marcadores do pivô e do snap e das alças de vértices
+        if (
+            (controle.marcador_pivo != undefined && controle.marcador_pivo.lines.includes(l))
+            || (controle.marcador_snap != undefined && controle.marcador_snap.lines.includes(l))
+            || controle.alcas_vertices.some(alca => alca.lines.includes(l))
+        ) {
+            continue;
+        }
+
         points.push({ x: l.x1, y: l.y1 });
         points.push({ x: l.x2, y: l.y2 });
     }
 
+    // Polylines
+    for (const pol of Polyline.list) {
+        if (pol == controle.polyline_tmp) continue;
+        for (const p of pol.vertices) {
+            points.push({ x: p.x, y: p.y });
+        }
+    }
+
+    // Ellipses and circles (pontos da borda)
+    for (const e of [ ...Ellipse.list, ...Circle.list ]) {
+        if (e == controle.forma_tmp) continue;
+        for (const [ x, y ] of e.pontos_borda(32)) {
+            points.push({ x, y });
+        }
+    }
+
     // Polygons
     for (const pol of Polygon.list) {
         for (const p of pol.ordered_vertices) {
@@ -1271,10 +3510,6 @@ function get_all_points(controle) {
             points_ret.push({ x: p.x, y: p.y });
         }
     }
-    points_ret.forEach(p => {
-        p.x += Math.random()/100;
-        p.y += Math.random()/100;
-    });
 
     return points_ret;
 }
@@ -1422,9 +3657,230 @@ function merge_hull(points) {
     return hull_points;
 }
 
+/** Função que mostra o pivô do objeto selecionado como um pequeno quadrado */
+function draw_marcador_pivo(controle) {
+    if (controle.selected_obj == undefined) {
+        if (controle.marcador_pivo != undefined) {
+            controle.marcador_pivo.delete();
+            controle.marcador_pivo = undefined;
+        }
+        return;
+    }
+
+    // 6px na tela, independente do zoom
+    const [ x, y ] = controle.selected_obj.get_pivo();
+    const lado = 6 / Primitive.zoom;
+    if (controle.marcador_pivo == undefined) {
+        controle.marcador_pivo = new Box(x, y, lado, lado);
+        controle.marcador_pivo.set_escuro();
+    } else {
+        controle.marcador_pivo.set_lines(x, y, lado, lado);
+    }
+}
+
+/**
+ * Função que desenha a grade cobrindo a área visível do canvas. As linhas só são
+ * refeitas quando a área visível ou o espaçamento mudam (ver Grade.set_area)
+ */
+function draw_grade(refs, controle) {
+    // Com o zoom muito afastado a grade ficaria densa demais, então não é desenhada
+    const espacamento = controle.espacamento_grade;
+    if (espacamento * Primitive.zoom < GRADE_MIN_PX) return;
+
+    const [ x0, y0 ] = tela_para_mundo(0, 0);
+    const [ x1, y1 ] = tela_para_mundo(refs.canvas.clientWidth, refs.canvas.clientHeight);
+
+    if (controle.grade == undefined) {
+        controle.grade = new Grade();
+    }
+    controle.grade.set_area(espacamento, x0, y0, x1, y1);
+
+    Grade.prepara(Grade.list);
+    Grade.draw();
+}
+
+/**
+ * Função que retorna os vértices editáveis do objeto obj (extremidades de uma linha ou
+ * vértices dos anéis de um polígono) como { k, i, x, y }, com as coordenadas atuais (ver
+ * Polygon.move_vertex)
+ */
+function vertices_editaveis(obj) {
+    const aneis = obj instanceof Line
+        ? [ [ { x: obj.x1, y: obj.y1 }, { x: obj.x2, y: obj.y2 } ] ]
+        : obj.rings();
+
+    return aneis.flatMap((anel, k) => anel.map((p, i) => ({ k, i, x: p.x, y: p.y })));
+}
+
+/**
+ * Função que mostra as alças (quadrados de 6px na tela) nos vértices do objeto
+ * selecionado na ferramenta de edição de vértices. A alça do vértice selecionado fica
+ * destacada
+ */
+function draw_alcas_vertices(controle) {
+    const obj = controle.selected_obj;
+    const vertices = controle.ferramenta == "vertices" && obj != undefined
+        ? vertices_editaveis(obj)
+        : [];
+
+    // Uma alça por vértice
+    while (controle.alcas_vertices.length > vertices.length) {
+        controle.alcas_vertices.pop().delete();
+    }
+    while (controle.alcas_vertices.length < vertices.length) {
+        controle.alcas_vertices.push(new Box(0, 0, 0, 0));
+    }
+
+    const lado = 6 / Primitive.zoom;
+    const selecionado = controle.vertice_selecionado;
+    vertices.forEach(({ k, i, x, y }, n) => {
+        const alca = controle.alcas_vertices[n];
+        alca.set_lines(x, y, lado, lado);
+        if (selecionado != undefined && selecionado.k == k && selecionado.i == i) {
+            alca.set_destaque();
+        } else {
+            alca.set_escuro();
+        }
+    });
+}
+
+/**
+ * Função que retorna o vértice editável do objeto selecionado sob o ponto (x, y), dentro
+ * da tolerância de pick, como { k, i }. Retorna undefined se não houver nenhum
+ */
+function vertice_sob_mouse(controle, x, y) {
+    const tol = Primitive.tol;
+    let melhor = undefined;
+    for (const v of vertices_editaveis(controle.selected_obj)) {
+        if (Math.abs(v.x - x) >= tol || Math.abs(v.y - y) >= tol) continue;
+        if (melhor == undefined || sqdist(v, x, y) < sqdist(melhor, x, y)) {
+            melhor = v;
+        }
+    }
+
+    return melhor == undefined ? undefined : { k: melhor.k, i: melhor.i };
+}
+
+/**
+ * Função que começa uma edição de vértices no objeto selecionado, registrando seu estado
+ * para o histórico. Rotação e escala são incorporadas nas coordenadas antes (ver
+ * bake_transform), senão mover um vértice mudaria o centro do objeto e, com ele, a
+ * posição de todos os outros vértices
+ */
+function inicia_edicao_vertice(controle) {
+    const obj = controle.selected_obj;
+    controle.modificacao_vertice = controle.historico.inicia_modificacao([ obj ]);
+
+    if (obj.rotation != 0 || obj.escala != 1) {
+        obj.bake_transform();
+    }
+}
+
+/**
+ * Função que finaliza a edição de vértices em andamento. Se o polígono tiver ficado
+ * inválido (ex: arestas se cruzando), a edição é desfeita
+ */
+function finaliza_edicao_vertice(refs, controle) {
+    const modificacao = controle.modificacao_vertice;
+    if (modificacao == undefined) return;
+    controle.modificacao_vertice = undefined;
+
+    const [ obj ] = modificacao.objetos;
+    if (obj instanceof Polygon && obj.erro_triangulacao != undefined) {
+        refs.msg.textContent = `Edição desfeita: ${obj.erro_triangulacao}`;
+        obj.set_json(modificacao.antes[0]);
+    } else {
+        controle.historico.finaliza_modificacao(modificacao);
+    }
+
+    if (controle.hoverbox != undefined) {
+        controle.hoverbox.set_lines(...parametros_hoverbox(obj));
+    }
+}
+
+/**
+ * Função que lida com o clique na ferramenta de edição de vértices: clicar em uma alça
+ * seleciona o vértice e clicar em uma aresta de um polígono insere um vértice nela
+ */
+function click_edicao_vertices(refs, controle) {
+    const obj = controle.selected_obj;
+    const [ x, y ] = [ controle.mouseX, controle.mouseY ];
+
+    controle.vertice_selecionado = vertice_sob_mouse(controle, x, y);
+    if (controle.vertice_selecionado != undefined || !(obj instanceof Polygon)) return;
+
+    // Procura a aresta mais próxima, em todos os anéis
+    let aresta = undefined;
+    obj.rings().forEach((anel, k) => anel.forEach((p, i) => {
+        const q = anel[(i+1) % anel.length];
+        const [ distancia, xp, yp ] = distancia_segmento(x, y, p.x, p.y, q.x, q.y);
+        if (distancia < Primitive.tol && (aresta == undefined || distancia < aresta.distancia)) {
+            aresta = { k, i, distancia, xp, yp };
+        }
+    }));
+    if (aresta == undefined) return;
+
+    inicia_edicao_vertice(controle);
+    obj.insert_vertex(aresta.k, aresta.i, ...ajusta_a_grade(controle, aresta.xp, aresta.yp));
+    controle.vertice_selecionado = { k: aresta.k, i: aresta.i + 1 };
+    finaliza_edicao_vertice(refs, controle);
+}
+
+/** Função que remove o vértice selecionado na ferramenta de edição de vértices */
+function remove_vertice_selecionado(refs, controle) {
+    const obj = controle.selected_obj;
+    const vertice = controle.vertice_selecionado;
+    if (!(obj instanceof Polygon) || vertice == undefined) return;
+
+    if (obj.orig_rings()[vertice.k].length <= 3) {
+        refs.msg.textContent = "Cada anel do polígono precisa de pelo menos 3 vértices";
+        return;
+    }
+
+    inicia_edicao_vertice(controle);
+    obj.remove_vertex(vertice.k, vertice.i);
+    controle.vertice_selecionado = undefined;
+    finaliza_edicao_vertice(refs, controle);
+}
+
+/**
+ * Função que mostra o marcador de snap (um quadrado de 10px na tela) em volta do ponto
+ * snap, ou remove o marcador se snap for undefined
+ */
+function draw_marcador_snap(controle, snap) {
+    if (snap == undefined) {
+        if (controle.marcador_snap != undefined) {
+            controle.marcador_snap.delete();
+            controle.marcador_snap = undefined;
+        }
+        return;
+    }
+
+    const lado = 10 / Primitive.zoom;
+    if (controle.marcador_snap == undefined) {
+        controle.marcador_snap = new Box(...snap, lado, lado);
+        controle.marcador_snap.set_destaque();
+    } else {
+        controle.marcador_snap.set_lines(...snap, lado, lado);
+    }
+}
+
 /** Função que desenha o fecho convexo */
 function draw_fecho_convexo(controle) {
     const all_points = get_all_points(controle);
+
+    // Só refaz o fecho se os pontos mudaram desde a última vez (a cena também é
+    // redesenhada quando apenas objetos temporários mudam, ex: a hoverbox)
+    const assinatura = all_points.map(p => `${p.x},${p.y}`).join(";");
+    if (controle.fecho_convexo != undefined && assinatura == controle.assinatura_fecho) {
+        return;
+    }
+    controle.assinatura_fecho = assinatura;
+
+    all_points.forEach(p => {
+        p.x += Math.random()/100;
+        p.y += Math.random()/100;
+    });
     const fecho = merge_hull(all_points);
 
     // Ordena pontos do fecho
@@ -1444,35 +3900,295 @@ function draw_fecho_convexo(controle) {
         const p2 = fecho_ordenado[(i+1)%fecho_ordenado.length];
         const line = new Line(p1.x, p1.y, p2.x, p2.y);
         line.set_color(140, 140, 140, 200);
+        line.set_fina();
         controle.fecho_convexo.push(line);
     }
 }
 
-/** Função que lida com o evento mousemove do mouse */
-function mousemove_handler(e, refs, controle) {
+/**
+ * Função que retorna o objeto do desenho sob o ponto (x, y), ignorando os objetos
+ * temporários (hoverbox, fecho convexo, retângulo de seleção, etc). O objeto mais à
+ * frente na ordem de empilhamento tem prioridade. Objetos agrupados são selecionados
+ * através do seu grupo
+ */
+function pick_objeto(controle, x, y) {
+    const obj = objetos_da_cena(controle).reverse().find(obj => obj.contem(x, y));
+    return obj == undefined ? undefined : Group.raiz(obj);
+}
+
+/**
+ * Função que retorna a lista de objetos selecionados (vazia se não houver seleção). Um
+ * grupo selecionado é um único objeto, enquanto um Conjunto retorna os seus objetos
+ */
+function objetos_selecionados(controle) {
+    const selected_obj = controle.selected_obj;
+    if (selected_obj == undefined) return [];
+    if (selected_obj instanceof Conjunto && !(selected_obj instanceof Group)) {
+        return selected_obj.objetos.slice();
+    }
+    return [ selected_obj ];
+}
+
+/**
+ * Função que começa o registro no histórico de uma modificação dos objetos selecionados.
+ * Um grupo guarda os seus objetos junto com a própria rotação, escala e pivô (ver
+ * Group.to_json). Um Conjunto não faz parte do desenho, mas o seu estado também é
+ * guardado, senão desfazer deixaria os sliders e o pivô dele desatualizados
+ */
+function inicia_modificacao_selecao(controle) {
+    const objetos = objetos_selecionados(controle);
+    if (controle.selected_obj instanceof Conjunto && !(controle.selected_obj instanceof Group)) {
+        objetos.push(controle.selected_obj);
+    }
+    return controle.historico.inicia_modificacao(objetos);
+}
+
+/**
+ * Função que seleciona os objetos. Um único objeto é selecionado diretamente e vários
+ * objetos são selecionados através de um Conjunto
+ */
+function seleciona(refs, controle, objetos) {
+    finaliza_buraco(refs, controle, true);
+
+    if (objetos.length == 0) {
+        desseleciona(refs, controle);
+        return;
+    }
+
+    const selected_obj = objetos.length == 1 ? objetos[0] : new Conjunto(objetos);
+    controle.selected_obj = controle.hovered_obj = selected_obj;
+
+    // Hoverbox escura em volta da seleção
+    const hoverbox_params = parametros_hoverbox(selected_obj);
+    if (controle.hoverbox == undefined) {
+        controle.hoverbox = new Box(...hoverbox_params);
+    } else {
+        controle.hoverbox.set_lines(...hoverbox_params);
+    }
+    controle.hoverbox.set_escuro();
+
+    // Habilita transformações
+    refs.selected_controles.hidden = false;
+    refs.selected_controles2.hidden = false;
+
+    // Seta rotação com o valor atual do objeto
+    refs.slider_rot.value = selected_obj.rotation;
+
+    // Seta escala com o valor atual do objeto
+    refs.slider_esc.value = selected_obj.escala;
+
+    // Só polígonos podem ter buracos
+    refs.dica_buraco.hidden = !(selected_obj instanceof Polygon);
+
+    // Agrupa uma seleção de vários objetos e desagrupa um grupo
+    refs.btn_agrupar.hidden = !(selected_obj.constructor == Conjunto);
+    refs.btn_desagrupar.hidden = !(selected_obj instanceof Group);
+
+    // Só linhas e polígonos têm vértices editáveis
+    refs.btn_vertices.hidden = !(selected_obj instanceof Line || selected_obj instanceof Polygon);
+
+    // Mostra as propriedades do objeto no inspetor
+    atualiza_inspetor(refs, controle);
+
+    // Mostra o traço da linha nos campos de traço
+    if (selected_obj instanceof Line) {
+        const { largura, extremidade, tracejado } = selected_obj;
+        controle.traco = { largura, extremidade, "tracejado": tracejado.slice() };
+        mostra_traco(refs, controle);
+    }
+
+    // Mostra o marcador do ponto nos campos de marcador
+    if (selected_obj instanceof Point) {
+        controle.marcador = { "tamanho": selected_obj.tamanho, "forma": selected_obj.forma };
+        mostra_marcador(refs, controle);
+    }
+
+    // Mostra o preenchimento e o contorno do polígono nos campos de contorno
+    if (selected_obj instanceof Polygon) {
+        const { preenchido, cor_contorno, largura_contorno } = selected_obj;
+        controle.contorno = { preenchido, "cor_contorno": cor_contorno.slice(), largura_contorno };
+        mostra_contorno(refs, controle);
+    }
+
+    // Mostra a cor do objeto no seletor (objetos de cores diferentes não têm cor comum)
+    if (selected_obj.color != undefined) {
+        controle.cor = selected_obj.color.slice();
+        mostra_cor(refs, controle);
+    }
+}
+
+/** Função que desfaz a seleção atual */
+function desseleciona(refs, controle) {
+    finaliza_buraco(refs, controle, true);
+
+    // Clareia hoverbox
+    if (controle.hoverbox != undefined) {
+        controle.hoverbox.set_claro();
+    }
+
+    // Desmarca como selecionado
+    controle.selected_obj = undefined;
+
+    // Desabilita transformações
+    refs.selected_controles.hidden = true;
+    refs.selected_controles2.hidden = true;
+}
+
+/** Função que agrupa os objetos selecionados em um Group */
+function agrupa(refs, controle) {
+    const objetos = objetos_selecionados(controle);
+    if (objetos.length < 2) return;
+
+    const antes = retrato_cena(controle);
+    const grupo = new Group(objetos);
+    controle.historico.registra(new ComandoListas(antes, retrato_cena(controle)));
+
+    seleciona(refs, controle, [ grupo ]);
+}
+
+/** Função que desfaz o grupo selecionado, deixando os objetos dele selecionados */
+function desagrupa(refs, controle) {
+    const grupo = controle.selected_obj;
+    if (!(grupo instanceof Group)) return;
+
+    const antes = retrato_cena(controle);
+    grupo.ungroup();
+    controle.historico.registra(new ComandoListas(antes, retrato_cena(controle)));
+
+    seleciona(refs, controle, grupo.objetos);
+}
+
+/**
+ * Função que finaliza a translação por arrastamento, registrando-a no histórico. Se o
+ * objeto foi selecionado apenas para o arraste, ele é desselecionado
+ */
+function finaliza_arraste(refs, controle) {
+    controle.arrastando = false;
+
+    // Registra a translação no histórico
+    controle.historico.finaliza_modificacao(controle.modificacao_arraste);
+    controle.modificacao_arraste = undefined;
+
+    if (controle.arraste_temporario) {
+        desseleciona(refs, controle);
+    } else {
+        controle.hoverbox.set_escuro();
+    }
+    controle.arraste_temporario = false;
+}
+
+/** Função que remove o retângulo de seleção */
+function remove_retangulo_selecao(controle) {
+    if (controle.retangulo_selecao == undefined) return;
+
+    controle.retangulo_selecao.box.delete();
+    controle.retangulo_selecao = undefined;
+}
+
+/**
+ * Função que finaliza o retângulo de seleção, selecionando os objetos que estão
+ * inteiramente dentro dele. Se adiciona for true (Shift), os objetos são adicionados à
+ * seleção atual em vez de substituí-la
+ */
+function finaliza_retangulo_selecao(refs, controle, adiciona) {
+    const { x0, y0, x1, y1 } = controle.retangulo_selecao;
+    remove_retangulo_selecao(controle);
+
+    const [ xmin, xmax ] = [ Math.min(x0, x1), Math.max(x0, x1) ];
+    const [ ymin, ymax ] = [ Math.min(y0, y1), Math.max(y0, y1) ];
+
+    const dentro = objetos_de_topo(controle).filter(obj => {
+        const bbox = obj.boundingbox();
+        return bbox.xc - bbox.w/2 >= xmin && bbox.xc + bbox.w/2 <= xmax
+            && bbox.yc - bbox.h/2 >= ymin && bbox.yc + bbox.h/2 <= ymax;
+    });
+
+    const objetos = adiciona ? objetos_selecionados(controle) : [];
+    for (const obj of dentro) {
+        if (!objetos.includes(obj)) objetos.push(obj);
+    }
+
+    if (objetos.length == 0 && controle.selected_obj == undefined) return;
+    seleciona(refs, controle, objetos);
+}
+
+/**
+ * Função que retorna os parâmetros (xc, yc, w, h) da hoverbox em volta do objeto obj, com
+ * uma margem de 10px na tela para cada lado
+ */
+function parametros_hoverbox(obj) {
+    const margem = 20 / Primitive.zoom;
+    if (obj instanceof Point) {
+        return [ obj.x, obj.y, margem, margem ];
+    }
+
+    const bbox = obj.boundingbox();
+    return [ bbox.xc, bbox.yc, bbox.w + margem, bbox.h + margem ];
+}
+
+/**
+ * Função que retorna a posição do evento de mouse e em pixels CSS, relativa à área de
+ * desenho do canvas (descontando a borda)
+ */
+function posicao_no_canvas(e, refs) {
     const rect = refs.canvas.getBoundingClientRect();
+    return [
+        e.clientX - rect.left - refs.canvas.clientLeft,
+        e.clientY - rect.top - refs.canvas.clientTop,
+    ];
+}
 
-    // O -1 é da borda de 1px
-    controle.mouseX = e.clientX - rect.left - 1;
-    controle.mouseY = e.clientY - rect.top - 1;
+/** Função que lida com o evento mousemove do mouse */
+function mousemove_handler(e, refs, controle) {
+    // A posição do mouse fica nas coordenadas do mundo
+    [ controle.mouseX, controle.mouseY ] = tela_para_mundo(...posicao_no_canvas(e, refs));
 
     const mouseX = controle.mouseX;
     const mouseY = controle.mouseY;
 
     // Atualiza texto da posição do mouse
-    refs.mouse_position_el.textContent = `mouse_pos: (${mouseX}, ${mouseY})`;
+    const [ xt, yt ] = [ mouseX, mouseY ].map(v => Math.round(v * 100) / 100);
+    refs.mouse_position_el.textContent = `mouse_pos: (${xt}, ${yt})`;
+
+    // Atualiza posição do último vértice do objeto sendo desenhado. Se o cursor estiver
+    // alinhado a um objeto, mostra o marcador de snap nesse ponto
+    const snap = ponto_de_snap(controle, mouseX, mouseY);
+    draw_marcador_snap(controle, snap);
+    rubber_band(...(snap ?? ajusta_a_grade(controle, mouseX, mouseY)), controle);
 
-    // Atualiza posição do último vértice do objeto sendo desenhado
-    rubber_band(mouseX, mouseY, controle);
+    // Avisa se o polígono sendo desenhado ficou inválido (ex: arestas se cruzando)
+    const polygon_tmp = controle.polygon_tmp;
+    if (polygon_tmp != undefined && polygon_tmp.vertices.length/2 > 3) {
+        refs.msg.textContent = polygon_tmp.erro_triangulacao == undefined
+            ? MSG_DESENHO_POLIGONO
+            : `Polígono inválido: ${polygon_tmp.erro_triangulacao}`;
+    }
+
+    // O mesmo para o buraco sendo desenhado
+    const hole_polygon = controle.hole_polygon;
+    if (hole_polygon != undefined && hole_polygon.holes[hole_polygon.holes.length-1].length/2 > 3) {
+        refs.msg.textContent = hole_polygon.erro_triangulacao == undefined
+            ? MSG_DESENHO_BURACO
+            : `Buraco inválido: ${hole_polygon.erro_triangulacao}`;
+    }
 
     // Modo de seleção: hoverbox e translação por arrastamento
     if (controle.ferramenta == "select") {
+        // Atualiza o retângulo de seleção, se estiver sendo desenhado
+        const retangulo_selecao = controle.retangulo_selecao;
+        if (retangulo_selecao != undefined) {
+            const { x0, y0 } = retangulo_selecao;
+            retangulo_selecao.x1 = mouseX;
+            retangulo_selecao.y1 = mouseY;
+            retangulo_selecao.box.set_lines(
+                (x0 + mouseX) / 2, (y0 + mouseY) / 2,
+                Math.abs(mouseX - x0), Math.abs(mouseY - y0),
+            );
+        }
+
         // Ordem de prioridade de seleção: primeiro se verifica se há um objeto de fato
         // selecionado. Se não houver, faz pick de ponto, linha, ou polígono nessa ordem
-        const obj_sel = controle.selected_obj
-            || Point.pick(mouseX, mouseY)
-            || Line.pick(mouseX, mouseY, controle.fecho_convexo)
-            || Polygon.pick(mouseX, mouseY);
+        const obj_sel = controle.selected_obj || pick_objeto(controle, mouseX, mouseY);
 
         // Se nada estiver selecionado ou em hover, não faz nada. Obs: se depois tiver
         // outra ferramenta que precise de mousemove, não poderia dar return aqui
@@ -1486,25 +4202,11 @@ function mousemove_handler(e, refs, controle) {
             return;
         }
 
-        // Ignora se obj_sel for uma das linhas da hoverbox
-        if (
-            controle.hoverbox != undefined
-            && controle.hoverbox.lines.includes(obj_sel)
-        ) {
-            return;
-        }
-
         // Seta o objeto como sendo o atualmente sob o mouse (hover)
         controle.hovered_obj = obj_sel;
 
         // Define parâmetros da hoverbox dependendo do tipo de objeto
-        let hoverbox_params;
-        if (obj_sel instanceof Point) {
-            hoverbox_params = [ obj_sel.x, obj_sel.y, 20, 20 ];
-        } else if (obj_sel instanceof Line || obj_sel instanceof Polygon) {
-            const bbox = obj_sel.boundingbox();
-            hoverbox_params = [ bbox.xc, bbox.yc, bbox.w + 20, bbox.h + 20 ];
-        }
+        const hoverbox_params = parametros_hoverbox(obj_sel);
 
         // Cria hoverbox se ela não existir e atualiza se existir
         if (controle.hoverbox == undefined) {
@@ -1515,7 +4217,11 @@ function mousemove_handler(e, refs, controle) {
     }
 }
 
-function mousedrag_handler(e, refs, controle) {
+/**
+ * Função que lida com o arraste do mouse (mousemove com o botão pressionado). inicio é
+ * true no primeiro evento do arraste
+ */
+function mousedrag_handler(e, refs, controle, inicio) {
 
     const mouseX = controle.mouseX;
     const mouseY = controle.mouseY;
@@ -1525,8 +4231,25 @@ function mousedrag_handler(e, refs, controle) {
         controle.ferramenta == "line"
         && controle.line_tmp == undefined
     ) {
-        controle.line_tmp = new Line(mouseX, mouseY, mouseX, mouseY);
+        const [ x, y ] = ajusta_posicao(controle, mouseX, mouseY);
+        controle.line_tmp = new Line(x, y, x, y);
         controle.line_tmp.set_color(...controle.cor);
+        const { largura, extremidade, tracejado } = controle.traco;
+        controle.line_tmp.set_traco(largura, extremidade, tracejado);
+        return;
+    }
+
+    // Desenha círculo ou elipse
+    if (controle.ferramenta == "circle" || controle.ferramenta == "ellipse") {
+        const [ x, y ] = ajusta_posicao(controle, mouseX, mouseY);
+        if (controle.forma_tmp == undefined) {
+            const classe = controle.ferramenta == "circle" ? Circle : Ellipse;
+            controle.forma_tmp = new classe(x, y, 0, 0);
+            controle.forma_tmp.set_color(...controle.cor);
+            controle.inicio_forma = { x, y };
+            refs.msg.textContent = MSG_DESENHO_FORMA;
+        }
+        atualiza_forma_tmp(controle, x, y, e.altKey);
         return;
     }
 
@@ -1537,36 +4260,151 @@ function mousedrag_handler(e, refs, controle) {
     ) {
         controle.line_tmp = new Line(mouseX, mouseY, mouseX, mouseY);
         controle.line_tmp.set_color(140, 140, 140, 200);
+        controle.line_tmp.set_fina();
+        return;
+    }
+
+    // Arraste de um vértice na ferramenta de edição de vértices
+    if (controle.ferramenta == "vertices" && controle.selected_obj != undefined) {
+        if (inicio) {
+            controle.vertice_selecionado = vertice_sob_mouse(controle, mouseX, mouseY);
+            if (controle.vertice_selecionado != undefined) {
+                inicia_edicao_vertice(controle);
+            }
+        }
+
+        const vertice = controle.vertice_selecionado;
+        if (vertice != undefined && controle.modificacao_vertice != undefined) {
+            const obj = controle.selected_obj;
+            obj.move_vertex(vertice.k, vertice.i, ...ajusta_a_grade(controle, mouseX, mouseY));
+            controle.hoverbox.set_lines(...parametros_hoverbox(obj));
+            refs.msg.textContent = obj.erro_triangulacao == undefined
+                ? ""
+                : `Polígono inválido: ${obj.erro_triangulacao}`;
+        }
         return;
     }
 
-    // Se existir um objeto hovered e eu comecei a arrastar, configura para a translação
+    // Começo de um arraste no modo de seleção: arrastar um objeto (ou a seleção atual)
+    // translada, e arrastar a partir de uma área vazia desenha o retângulo de seleção
+    if (controle.ferramenta == "select" && inicio && controle.hole_polygon == undefined) {
+        const obj_mouse = pick_objeto(controle, mouseX, mouseY);
+        const selected_obj = controle.selected_obj;
+
+        if (obj_mouse == undefined) {
+            controle.retangulo_selecao = {
+                "x0": mouseX, "y0": mouseY,
+                "x1": mouseX, "y1": mouseY,
+                "box": new Box(mouseX, mouseY, 0, 0),
+            };
+
+        } else if (selected_obj == undefined && controle.hovered_obj != undefined) {
+            // Seleciona o objeto apenas enquanto ele é arrastado
+            controle.arrastando = true;
+            controle.arraste_temporario = true;
+
+            // Escurece hoverbox
+            controle.hoverbox.set_escuro();
+
+            // Seta ele como selecionado de fato
+            controle.selected_obj = controle.hovered_obj;
+
+        } else if (
+            obj_mouse == selected_obj
+            || (selected_obj instanceof Conjunto && selected_obj.contem(obj_mouse))
+        ) {
+            controle.arrastando = true;
+            controle.arraste_temporario = false;
+        }
+
+        // A translação é registrada no histórico quando o mouse for solto
+        if (controle.arrastando) {
+            controle.modificacao_arraste = inicia_modificacao_selecao(controle);
+
+            // Guarda onde o arraste começou (antes deste primeiro movimento), para
+            // calcular a translação total a partir dele
+            const [ px, py ] = controle.selected_obj.get_pivo();
+            controle.inicio_arraste = {
+                "x": mouseX - e.movementX / Primitive.zoom,
+                "y": mouseY - e.movementY / Primitive.zoom,
+                px, py,
+            };
+        }
+    }
+
+    // Se estou arrastando e existe um objeto selecionado, translada. O pivô do objeto
+    // acompanha o mouse desde o começo do arraste e, com o snap ativo, fica sempre sobre
+    // uma interseção da grade
     if (
         controle.ferramenta == "select"
-        && controle.hovered_obj != undefined
-        && controle.selected_obj == undefined
+        && controle.selected_obj != undefined
+        && controle.arrastando == true
     ) {
-        controle.arrastando = true;
+        const { x, y, px, py } = controle.inicio_arraste;
+        const [ nx, ny ] = ajusta_a_grade(controle, px + mouseX - x, py + mouseY - y);
+        const [ ax, ay ] = controle.selected_obj.get_pivo();
+        controle.selected_obj.translate(nx - ax, ny - ay);
+    }
+}
 
-        // Escurece hoverbox
-        controle.hoverbox.set_escuro();
+/** Mensagem de status exibida durante o desenho de um círculo ou de uma elipse */
+const MSG_DESENHO_FORMA = "Segure Alt para desenhar a partir do centro";
+
+/**
+ * Função que atualiza o círculo ou a elipse sendo desenhado com o mouse em (x, y). O
+ * arraste vai de um canto ao outro da bounding box, ou do centro até a borda se
+ * do_centro for true (Alt). O círculo fica inscrito no quadrado do maior lado
+ */
+function atualiza_forma_tmp(controle, x, y, do_centro) {
+    const forma = controle.forma_tmp;
+    const { x: x0, y: y0 } = controle.inicio_forma;
+    const [ dx, dy ] = [ x - x0, y - y0 ];
+
+    let [ rx, ry ] = [ Math.abs(dx), Math.abs(dy) ];
+    if (forma instanceof Circle) {
+        rx = ry = do_centro ? Math.hypot(dx, dy) : Math.max(rx, ry);
+    }
 
-        // Seta ele como selecionado de fato
-        controle.selected_obj = controle.hovered_obj;
+    if (do_centro) {
+        forma.set_geometria(x0, y0, rx, ry, 0);
+    } else {
+        // Direção do canto oposto. Num arraste só na horizontal (ou vertical), o círculo
+        // ainda fica dentro do quadrado arrastado, e não centrado na linha do início
+        const [ sx, sy ] = [ dx >= 0 ? 1 : -1, dy >= 0 ? 1 : -1 ];
+        rx /= 2;
+        ry /= 2;
+        forma.set_geometria(x0 + sx * rx, y0 + sy * ry, rx, ry, 0);
     }
+    forma.transform();
+}
+
+/**
+ * Função que finaliza o desenho de um círculo ou de uma elipse. Formas com algum raio
+ * zero (ex: o arraste foi só na horizontal) são descartadas
+ */
+function finaliza_forma(refs, controle) {
+    const forma_tmp = controle.forma_tmp;
+    if (forma_tmp == undefined) return;
+
+    controle.forma_tmp = undefined;
+    controle.inicio_forma = undefined;
+    refs.msg.textContent = "";
 
-    // Se estou arrastando e existe um objeto selecionado, translada
-    if (
-        controle.ferramenta == "select"
-        && controle.selected_obj != undefined
-        && controle.arrastando == true
-    ) {
-        controle.selected_obj.translate(e.movementX, e.movementY);
+    if (forma_tmp.rx > 0 && forma_tmp.ry > 0) {
+        registra_criacao(controle, forma_tmp);
+    } else {
+        forma_tmp.delete();
     }
 }
 
 /** Função que lida com o evento mousedown do mouse */
 function mouseup_handler(e, refs, controle) {
+    // Finalização do arraste de um vértice
+    if (controle.ferramenta == "vertices") {
+        finaliza_edicao_vertice(refs, controle);
+        return;
+    }
+
     // Finalização de desenho de linha
     if (
         controle.ferramenta == "line"
@@ -1576,7 +4414,8 @@ function mouseup_handler(e, refs, controle) {
 
         // Deleta a linha se as 2 extremidades forem coincidentes (o usuário apenas
         // clicou em vez de segurar a arrastar o mouse)
-        if (line_tmp.x1 == line_tmp.x2 && line_tmp.y1 == line_tmp.y2) {
+        const coincidentes = line_tmp.x1 == line_tmp.x2 && line_tmp.y1 == line_tmp.y2;
+        if (coincidentes) {
             line_tmp.delete();
         }
 
@@ -1584,6 +4423,16 @@ function mouseup_handler(e, refs, controle) {
         // mas a instância dela ainda está na lista linhas (Line.list)
         controle.line_tmp = undefined;
 
+        if (!coincidentes) {
+            registra_criacao(controle, line_tmp);
+        }
+
+        return;
+    }
+
+    // Finalização de desenho de círculo ou elipse
+    if (controle.forma_tmp != undefined) {
+        finaliza_forma(refs, controle);
         return;
     }
 
@@ -1599,7 +4448,9 @@ function mouseup_handler(e, refs, controle) {
             controle.line_tmp.x2,
             controle.line_tmp.y2
         ];
+        const modificacao = inicia_modificacao_selecao(controle);
         controle.selected_obj.mirror(rx1, ry1, rx2, ry2);
+        controle.historico.finaliza_modificacao(modificacao);
         controle.line_tmp.delete();
         controle.line_tmp = undefined;
         controle.ferramenta = "select";
@@ -1618,36 +4469,62 @@ function mouseup_handler(e, refs, controle) {
         && controle.selected_obj != undefined
         && controle.arrastando == true
     ) {
-        controle.arrastando = false;
-
-        // Clareia hoverbox
-        controle.hoverbox.set_claro();
-
-        // Desmarca objeto como selecionado
-        controle.selected_obj = undefined;
+        finaliza_arraste(refs, controle);
+    }
 
-        // Desabilita transformações
-        refs.selected_controles.hidden = true;
-        refs.selected_controles2.hidden = true;
+    // "Soltou" o mouse depois de desenhar o retângulo de seleção
+    if (
+        controle.ferramenta == "select"
+        && controle.retangulo_selecao != undefined
+    ) {
+        finaliza_retangulo_selecao(refs, controle, e.shiftKey);
     }
 }
 
 /** Função que lida com o evento mousedown do mouse */
 function click_handler(e, refs, controle) {
-    // Não faz nada se o shift estiver pressionado
-    if (e.shiftKey) { return; }
+    // Não faz nada se o shift estiver pressionado (exceto no modo de seleção)
+    if (e.shiftKey && controle.ferramenta != "select") { return; }
 
-    const mouseX = controle.mouseX;
-    const mouseY = controle.mouseY;
+    // Um arraste muito curto é tratado como clique (ver init_mouse), então desfaz o que
+    // o começo do arraste fez
+    if (controle.arrastando) {
+        finaliza_arraste(refs, controle);
+    }
+    remove_retangulo_selecao(controle);
+    finaliza_forma(refs, controle);
+
+    // Posição para criar e editar objetos, ajustada pelos snaps ativos (a objetos e à
+    // grade). O pick continua usando a posição real do mouse
+    const [ mouseX, mouseY ] = ajusta_posicao(controle, controle.mouseX, controle.mouseY);
     const cor = controle.cor;
 
     // Desenha um ponto
     if (controle.ferramenta == "point" && !e.ctrlKey) {
         const p = new Point(mouseX, mouseY);
         p.set_color(...cor);
+        p.set_marcador(controle.marcador.tamanho, controle.marcador.forma);
+        registra_criacao(controle, p);
         return;
     };
 
+    // Desenho de polilinha: o primeiro clique cria a polilinha e os seguintes adicionam
+    // vértices. Ctrl+Clique finaliza mantendo o vértice, diferente de apertar ESC
+    if (controle.ferramenta == "polyline") {
+        const polyline_tmp = controle.polyline_tmp;
+        if (polyline_tmp == undefined && !e.ctrlKey) {
+            controle.polyline_tmp = new Polyline();
+            controle.polyline_tmp.set_color(...cor);
+            controle.polyline_tmp.set_vertices([ [ mouseX, mouseY ], [ mouseX, mouseY ] ]);
+            refs.msg.textContent = MSG_DESENHO_POLILINHA;
+        } else if (polyline_tmp != undefined && !e.ctrlKey) {
+            polyline_tmp.add_vertex(mouseX, mouseY);
+        } else if (polyline_tmp != undefined) {
+            finaliza_polilinha(refs, controle, false);
+        }
+        return;
+    }
+
     // Começa a desenhar um polígono
     if (
         controle.ferramenta == "polygon"
@@ -1656,17 +4533,20 @@ function click_handler(e, refs, controle) {
     ) {
         // Cria um polígono
         const polygon_tmp = controle.polygon_tmp = new Polygon();
+        polygon_tmp.auto_arrange = refs.auto_arrange.checked;
         polygon_tmp.add_vertex(mouseX, mouseY);
         polygon_tmp.add_vertex(mouseX, mouseY);
         polygon_tmp.set_color(...cor);
+        const { preenchido, cor_contorno, largura_contorno } = controle.contorno;
+        polygon_tmp.set_contorno(preenchido, cor_contorno, largura_contorno);
 
         // Cria uma linha temporária para a primeira aresta do polígono
         controle.polygon_first_line = new Line(mouseX, mouseY, mouseX, mouseY);
         controle.polygon_first_line.set_color(...cor);
+        controle.polygon_first_line.set_fina();
 
         // Atualiza mensagem de status
-        refs.msg.textContent = "Aperte ESC para finalizar o polígono ou \
-            Ctrl+Clique para adicionar um último ponto";
+        refs.msg.textContent = MSG_DESENHO_POLIGONO;
 
         return;
     }
@@ -1697,9 +4577,18 @@ function click_handler(e, refs, controle) {
         && controle.polygon_tmp != undefined
         && e.ctrlKey
     ) {
-        // Deleta polígonos com 2 pontos
-        if (controle.polygon_tmp.vertices.length/2 < 3) {
-            controle.polygon_tmp.delete();
+        refs.msg.textContent = "";
+
+        // Deleta polígonos com 2 pontos e polígonos que não puderam ser triangulados
+        const polygon_tmp = controle.polygon_tmp;
+        const valido = polygon_tmp.vertices.length/2 >= 3
+            && polygon_tmp.erro_triangulacao == undefined;
+        if (polygon_tmp.vertices.length/2 < 3) {
+            polygon_tmp.delete();
+        } else if (polygon_tmp.erro_triangulacao != undefined) {
+            polygon_tmp.delete();
+            refs.msg.textContent =
+                `Polígono descartado: ${polygon_tmp.erro_triangulacao}`;
         }
 
         // Deleta linha temporária
@@ -1707,44 +4596,86 @@ function click_handler(e, refs, controle) {
             controle.polygon_first_line.delete();
         }
 
-        refs.msg.textContent = "";
         controle.polygon_tmp = undefined;
         controle.polygon_first_line = undefined;
+
+        if (valido) {
+            registra_criacao(controle, polygon_tmp);
+        }
     }
 
-    // Seleciona o objeto hovered
+    // Ferramenta de edição de vértices. Um arraste muito curto de um vértice é tratado
+    // como clique, então a edição começada no arraste é finalizada antes
+    if (controle.ferramenta == "vertices" && controle.selected_obj != undefined) {
+        finaliza_edicao_vertice(refs, controle);
+        click_edicao_vertices(refs, controle);
+        return;
+    }
+
+    // Define o pivô do objeto selecionado no ponto clicado
     if (
-        controle.ferramenta == "select"
-        && controle.hovered_obj != undefined
-        && controle.selected_obj == undefined
+        controle.ferramenta == "pivot"
+        && controle.selected_obj != undefined
     ) {
-        // Escurece hoverbox
-        controle.hoverbox.set_escuro();
+        const modificacao = inicia_modificacao_selecao(controle);
+        controle.selected_obj.set_pivo(mouseX, mouseY);
+        controle.historico.finaliza_modificacao(modificacao);
 
-        // Seta ele como selecionado de fato
-        controle.selected_obj = controle.hovered_obj;
+        controle.ferramenta = "select";
+        refs.btn_pivo.className = "";
+        return;
+    }
+
+    // Adiciona vértices ao buraco que está sendo desenhado. Ctrl+Clique finaliza o
+    // buraco (mantendo o vértice, assim como no polígono)
+    if (
+        controle.ferramenta == "select"
+        && controle.hole_polygon != undefined
+    ) {
+        if (e.ctrlKey) {
+            finaliza_buraco(refs, controle, false);
+        } else {
+            controle.hole_polygon.add_hole_vertex(mouseX, mouseY);
+        }
+        return;
+    }
 
-        // Habilita transformações
-        if (!(controle.selected_obj instanceof Point)) {
-            refs.selected_controles.hidden = false;
-            refs.selected_controles2.hidden = false;
+    // Alt+Clique com um polígono selecionado começa a desenhar um buraco nele
+    if (
+        controle.ferramenta == "select"
+        && e.altKey
+        && controle.selected_obj instanceof Polygon
+    ) {
+        controle.hole_polygon = controle.selected_obj;
+        controle.modificacao_buraco =
+            controle.historico.inicia_modificacao([ controle.hole_polygon ]);
+        controle.hole_polygon.start_hole(mouseX, mouseY);
+        refs.msg.textContent = MSG_DESENHO_BURACO;
+        return;
+    }
 
-            // Seta rotação com o valor atual do objeto
-            refs.slider_rot.value = controle.selected_obj.rotation;
+    // Shift+Clique adiciona o objeto sob o mouse à seleção, ou o remove se ele já
+    // estiver selecionado
+    if (controle.ferramenta == "select" && e.shiftKey) {
+        const obj = pick_objeto(controle, controle.mouseX, controle.mouseY);
+        if (obj == undefined) return;
 
-            // Seta escala com o valor atual do objeto
-            refs.slider_esc.value = controle.selected_obj.escala;
+        const objetos = objetos_selecionados(controle);
+        if (objetos.includes(obj)) {
+            seleciona(refs, controle, objetos.filter(o => o != obj));
         } else {
-            refs.selected_controles2.hidden = false;
+            seleciona(refs, controle, [ ...objetos, obj ]);
         }
+        return;
+    }
 
-        // Seleciona cor do objeto na paleta
-        for (const key of Object.keys(refs.cores)) {
-            if (refs.cores[key].toString() == controle.selected_obj.color.toString()) {
-                refs.cores_elms[key].click();
-                break;
-            }
-        }
+    // Seleciona o objeto hovered
+    if (
+        controle.ferramenta == "select"
+        && controle.hovered_obj != undefined
+        && controle.selected_obj == undefined
+    ) {
+        seleciona(refs, controle, [ controle.hovered_obj ]);
 
     // Desseleciona o objeto
     } else if (
@@ -1752,15 +4683,7 @@ function click_handler(e, refs, controle) {
         && controle.hovered_obj != undefined
         && controle.selected_obj != undefined
         ) {
-        // Clareia hoverbox
-        controle.hoverbox.set_claro();
-
-        // Desmarca como selecionado
-        controle.selected_obj = undefined;
-
-        // Desabilita transformações
-        refs.selected_controles.hidden = true;
-        refs.selected_controles2.hidden = true;
+        desseleciona(refs, controle);
     }
 
 }
@@ -1783,28 +4706,52 @@ function init_botoes(refs, controle) {
             // Seta a ferramenta
             controle.ferramenta = key;
 
-            // Finaliza polígono, caso exista
+            // Finaliza polígono e polilinha, caso existam
             finaliza_polygon(refs, controle);
+            finaliza_polilinha(refs, controle, true);
 
             // Reseta controle
             reset_controles(refs, controle);
         }
     }
 
+    // As caixas de debug mudam o desenho sem alterar nenhuma primitiva
+    refs.debug_tri.onchange = () => controle.redesenhar = true;
+    refs.fecho_convexo.onchange = () => controle.redesenhar = true;
+    refs.grade.onchange = () => controle.redesenhar = true;
+
+    // Configuração da grade
+    refs.snap_grade.onchange = () => controle.snap_grade = refs.snap_grade.checked;
+    refs.snap_objetos.onchange = () => controle.snap_objetos = refs.snap_objetos.checked;
+    refs.grade_espacamento.onchange = () => {
+        const espacamento = Number(refs.grade_espacamento.value);
+        if (!(espacamento > 0)) {
+            refs.grade_espacamento.value = controle.espacamento_grade;
+            return;
+        }
+        controle.espacamento_grade = espacamento;
+        controle.redesenhar = true;
+    }
+
     // Configuração do botão de limpar
     refs.btn_limpar.onclick = () => {
-        Point.list.length = 0;
-        Line.list.length = 0;
-        Polygon.list.length = 0;
         finaliza_polygon(refs, controle);
-        reset_controles(refs, controle);
+        finaliza_polilinha(refs, controle, true);
+        const antes = retrato_cena(controle);
+        limpa_cena(refs, controle);
+        controle.historico.registra(new ComandoListas(antes, retrato_cena(controle)));
     }
 
     // Configuração do botão de apagar objeto
     refs.btn_apagar.onclick = () => {
         if (controle.selected_obj == undefined) return;
 
+        finaliza_buraco(refs, controle, true);
+
+        const antes = retrato_cena(controle);
         controle.selected_obj.delete();
+        controle.historico.registra(new ComandoListas(antes, retrato_cena(controle)));
+
         controle.selected_obj = undefined;
         controle.hovered_obj = undefined;
         controle.hoverbox.delete();
@@ -1813,10 +4760,63 @@ function init_botoes(refs, controle) {
         refs.selected_controles2.hidden = true;
     }
 
+    // Configuração dos botões de ordem de empilhamento
+    refs.btn_frente.onclick = () => reordena(refs, controle, "frente");
+    refs.btn_avancar.onclick = () => reordena(refs, controle, "avancar");
+    refs.btn_recuar.onclick = () => reordena(refs, controle, "recuar");
+    refs.btn_tras.onclick = () => reordena(refs, controle, "tras");
+
+    // Configuração dos botões de agrupar e desagrupar
+    refs.btn_agrupar.onclick = () => agrupa(refs, controle);
+    refs.btn_desagrupar.onclick = () => desagrupa(refs, controle);
+
+    // Configuração dos botões do pivô. O pivô é definido clicando no canvas
+    refs.btn_pivo.onclick = () => {
+        if (controle.selected_obj == undefined) return;
+
+        finaliza_buraco(refs, controle, true);
+
+        if (controle.ferramenta != "pivot") {
+            controle.ferramenta = "pivot";
+            refs.btn_pivo.className = "selected";
+        } else {
+            controle.ferramenta = "select";
+            refs.btn_pivo.className = "";
+        }
+    }
+
+    refs.btn_pivo_centro.onclick = () => {
+        if (controle.selected_obj == undefined) return;
+
+        const modificacao = inicia_modificacao_selecao(controle);
+        controle.selected_obj.set_pivo();
+        controle.historico.finaliza_modificacao(modificacao);
+    }
+
+    // Configuração do botão de edição de vértices
+    refs.btn_vertices.onclick = () => {
+        if (controle.selected_obj == undefined) return;
+
+        finaliza_buraco(refs, controle, true);
+
+        if (controle.ferramenta != "vertices") {
+            controle.ferramenta = "vertices";
+            refs.btn_vertices.className = "selected";
+            refs.msg.textContent = MSG_EDICAO_VERTICES;
+        } else {
+            controle.ferramenta = "select";
+            refs.btn_vertices.className = "";
+            refs.msg.textContent = "";
+        }
+        controle.vertice_selecionado = undefined;
+    }
+
     // Configuração do botão de espelhar
     refs.btn_espelhar.onclick = () => {
         if (controle.selected_obj == undefined) return;
 
+        finaliza_buraco(refs, controle, true);
+
         if (controle.ferramenta != "mirror") {
             controle.ferramenta = "mirror";
             refs.btn_espelhar.className = "selected";
@@ -1827,6 +4827,114 @@ function init_botoes(refs, controle) {
         }
     }
 
+    // Configuração da profundidade do histórico
+    refs.historico_profundidade.onchange = () => {
+        const profundidade = Number(refs.historico_profundidade.value);
+        if (!Number.isInteger(profundidade) || profundidade < 1) {
+            refs.historico_profundidade.value = controle.historico.profundidade;
+            return;
+        }
+        controle.historico.set_profundidade(profundidade);
+    }
+}
+
+/**
+ * Função que apaga todos os objetos e reseta os controles. O polígono sendo desenhado
+ * deve ser finalizado antes (ver finaliza_polygon), para entrar no retrato da cena que
+ * vai para o histórico
+ */
+function limpa_cena(refs, controle) {
+    Point.list.length = 0;
+    Line.list.length = 0;
+    Polyline.list.length = 0;
+    Polygon.list.length = 0;
+    Ellipse.list.length = 0;
+    Circle.list.length = 0;
+    Group.list.length = 0;
+    Primitive.alteracoes++;
+    reset_controles(refs, controle);
+}
+
+/**
+ * Função que inicializa os botões de salvar, abrir, exportar e importar desenhos
+ * (ver cena.js)
+ */
+function init_arquivos(refs, controle) {
+    refs.btn_salvar.onclick = () => {
+        const doc = serializa_cena(controle);
+        baixa_arquivo("desenho.json", JSON.stringify(doc, null, 2), "application/json");
+    }
+
+    refs.btn_exportar_svg.onclick = () => {
+        // O tamanho do buffer de desenho depende da densidade da tela, então usa o
+        // tamanho em pixels CSS, que é o das coordenadas dos objetos
+        const svg = exporta_svg(controle, refs.canvas.clientWidth, refs.canvas.clientHeight);
+        baixa_arquivo("desenho.svg", svg, "image/svg+xml");
+    }
+
+    // O botão apenas abre a janela de seleção do input de arquivo (que fica escondido)
+    refs.btn_abrir.onclick = () => refs.input_abrir.click();
+
+    refs.input_abrir.onchange = async () => {
+        const arquivo = refs.input_abrir.files[0];
+
+        // Limpa o input para que o mesmo arquivo possa ser aberto de novo
+        refs.input_abrir.value = "";
+        if (arquivo == undefined) return;
+
+        // Valida o documento inteiro antes de mexer no desenho atual
+        let doc;
+        try {
+            const texto = await arquivo.text();
+            try {
+                doc = JSON.parse(texto);
+            } catch (erro) {
+                throw Error(`o arquivo não é um JSON válido (${erro.message})`);
+            }
+            valida_cena(doc);
+        } catch (erro) {
+            refs.msg.textContent = `Não foi possível abrir "${arquivo.name}": ${erro.message}`;
+            return;
+        }
+
+        finaliza_polygon(refs, controle);
+        finaliza_polilinha(refs, controle, true);
+        const antes = retrato_cena(controle);
+        limpa_cena(refs, controle);
+        const objetos = carrega_cena(doc);
+        controle.historico.registra(new ComandoListas(antes, retrato_cena(controle)));
+        refs.msg.textContent = `"${arquivo.name}" aberto (${objetos.length} objetos)`;
+    }
+
+    // Importação de SVG: adiciona as formas suportadas ao desenho atual
+    refs.btn_importar_svg.onclick = () => refs.input_importar_svg.click();
+
+    refs.input_importar_svg.onchange = async () => {
+        const arquivo = refs.input_importar_svg.files[0];
+        refs.input_importar_svg.value = "";
+        if (arquivo == undefined) return;
+
+        let resultado;
+        try {
+            resultado = importa_svg(await arquivo.text());
+        } catch (erro) {
+            refs.msg.textContent = `Não foi possível importar "${arquivo.name}": ${erro.message}`;
+            return;
+        }
+
+        finaliza_polygon(refs, controle);
+        finaliza_polilinha(refs, controle, true);
+        reset_controles(refs, controle);
+        const antes = retrato_cena(controle);
+        const objetos = carrega_cena(resultado);
+        controle.historico.registra(new ComandoListas(antes, retrato_cena(controle)));
+
+        let msg = `"${arquivo.name}" importado (${objetos.length} objetos).`;
+        if (resultado.ignorados.length > 0) {
+            msg += ` Elementos não suportados: ${resume_ignorados(resultado.ignorados)}`;
+        }
+        refs.msg.textContent = msg;
+    }
 }
 
 /**
@@ -1838,10 +4946,18 @@ function init_mouse(refs, controle) {
     let is_down = false;
     let drag_hash;
 
+    // Pan da visualização: arraste com o botão do meio ou com espaço pressionado
+    let movendo_visao = false;
+
     refs.canvas.onmousedown = (e) => {
         e.preventDefault();
         e.stopPropagation();
 
+        if (e.button == 1 || controle.espaco_pressionado) {
+            movendo_visao = true;
+            return;
+        }
+
         drag_hash = 0;
         is_down = true;
     }
@@ -1850,6 +4966,11 @@ function init_mouse(refs, controle) {
         e.preventDefault();
         e.stopPropagation();
 
+        if (movendo_visao) {
+            movendo_visao = false;
+            return;
+        }
+
         if (drag_hash < 5) {
             // console.log("click");
             click_handler(e, refs, controle);
@@ -1865,27 +4986,102 @@ function init_mouse(refs, controle) {
         e.preventDefault();
         e.stopPropagation();
 
+        if (movendo_visao) {
+            aplica_pan(e.movementX, e.movementY);
+        }
+
         // console.log("mousemove");
         mousemove_handler(e, refs, controle);
+        if (movendo_visao) return;
 
+        const inicio = drag_hash == 0;
         drag_hash += Math.abs(e.movementX) + Math.abs(e.movementY);
 
         if (is_down) {
             // console.log("mousedrag");
-            mousedrag_handler(e, refs, controle);
+            mousedrag_handler(e, refs, controle, inicio);
         }
     }
 
     // Considera que o botão do mouse foi solto ao sair do canvas
     refs.canvas.onmouseleave = refs.canvas.onmouseup;
+
+    // Zoom com a roda do mouse em torno do cursor
+    refs.canvas.onwheel = (e) => {
+        e.preventDefault();
+
+        const fator = e.deltaY < 0 ? FATOR_ZOOM : 1 / FATOR_ZOOM;
+        aplica_zoom(fator, ...posicao_no_canvas(e, refs));
+
+        // Atualiza a posição do mouse no mundo e a hoverbox com o novo zoom
+        mousemove_handler(e, refs, controle);
+    }
 }
 
 /** Função que inicializa keyboard handling */
 function init_keyboard(refs, controle) {
+    // Desfazer (Ctrl+Z) e refazer (Ctrl+Shift+Z ou Ctrl+Y)
+    document.addEventListener('keydown', (event) => {
+        if (!event.ctrlKey && !event.metaKey) return;
+        // Deixa os atalhos nativos funcionarem dentro de campos de texto
+        if (event.target instanceof HTMLInputElement && event.target.type != "checkbox") return;
+
+        const tecla = event.key.toLowerCase();
+        if (tecla == "z") {
+            event.preventDefault();
+            desfaz_refaz(refs, controle, event.shiftKey);
+        } else if (tecla == "y") {
+            event.preventDefault();
+            desfaz_refaz(refs, controle, true);
+        } else if (event.code == "BracketRight") {
+            // Avançar (Ctrl+]) e trazer para frente (Ctrl+Shift+])
+            event.preventDefault();
+            reordena(refs, controle, event.shiftKey ? "frente" : "avancar");
+        } else if (event.code == "BracketLeft") {
+            // Recuar (Ctrl+[) e enviar para trás (Ctrl+Shift+[)
+            event.preventDefault();
+            reordena(refs, controle, event.shiftKey ? "tras" : "recuar");
+        } else if (tecla == "g") {
+            // Agrupar (Ctrl+G) e desagrupar (Ctrl+Shift+G)
+            event.preventDefault();
+            if (event.shiftKey) {
+                desagrupa(refs, controle);
+            } else {
+                agrupa(refs, controle);
+            }
+        }
+    });
+
+    // Espaço pressionado: arrastar o mouse move a visualização (ver init_mouse)
+    document.addEventListener('keydown', (event) => {
+        if (event.code != "Space") return;
+        if (event.target instanceof HTMLInputElement && event.target.type != "checkbox") return;
+
+        // Evita a rolagem da página e o clique no botão em foco
+        event.preventDefault();
+        controle.espaco_pressionado = true;
+    });
+
+    // Delete remove o vértice selecionado na edição de vértices
+    document.addEventListener('keydown', (event) => {
+        if (event.key != "Delete" && event.key != "Backspace") return;
+        if (event.target instanceof HTMLInputElement && event.target.type != "checkbox") return;
+        if (controle.ferramenta != "vertices") return;
+
+        event.preventDefault();
+        remove_vertice_selecionado(refs, controle);
+    });
+
     document.addEventListener ('keyup', (event) => {
-        // Finaliza polígono pressionando ESC
+        if (event.code == "Space") {
+            controle.espaco_pressionado = false;
+        }
+
+        // Finaliza polígono ou polilinha pressionando ESC
         if (event.key == "Escape") {
             finaliza_polygon(refs, controle);
+            finaliza_polilinha(refs, controle, true);
+            finaliza_buraco(refs, controle, true);
 
             // Cancela espelhamento
             if (
@@ -1902,40 +5098,286 @@ function init_keyboard(refs, controle) {
     });
 }
 
+/**
+ * Função que desfaz (ou refaz, se refazer for true) a última operação do histórico.
+ * Operações em andamento são finalizadas antes e a seleção é desfeita, já que o objeto
+ * selecionado pode deixar de existir
+ */
+function desfaz_refaz(refs, controle, refazer = false) {
+    finaliza_polygon(refs, controle);
+    finaliza_polilinha(refs, controle, true);
+    finaliza_buraco(refs, controle, true);
+    finaliza_modificacao_slider(controle);
+    finaliza_modificacao_inspetor(refs, controle);
+    finaliza_modificacao_cor(controle);
+    reset_controles(refs, controle);
+
+    // Desfazer uma criação ou remoção troca o conteúdo das listas diretamente (ver
+    // ComandoListas), sem passar pelos métodos das primitivas
+    const feito = refazer ? controle.historico.refaz() : controle.historico.desfaz();
+    Primitive.alteracoes++;
+    if (!feito) {
+        refs.msg.textContent = refazer ? "Nada para refazer" : "Nada para desfazer";
+    }
+}
+
 /** Função que inicializa os sliders de transformações */
 function init_sliders(refs, controle) {
     refs.slider_rot.oninput = (e) => {
-        const angulo = refs.slider_rot.value;
-        if (
-            controle.selected_obj != undefined
-            && !(controle.selected_obj instanceof Point)
-        ) {
+        const angulo = Number(refs.slider_rot.value);
+        if (controle.selected_obj != undefined) {
+            inicia_modificacao_slider(controle);
+
             // Seta rotação
             controle.selected_obj.set_rotation(angulo);
             controle.selected_obj.transform();
 
             // Atualiza hoverbox
-            const bbox = controle.selected_obj.boundingbox();
-            hoverbox_params = [ bbox.xc, bbox.yc, bbox.w + 20, bbox.h + 20 ];
-            controle.hoverbox.set_lines(...hoverbox_params);
+            controle.hoverbox.set_lines(...parametros_hoverbox(controle.selected_obj));
         }
     }
 
     refs.slider_esc.oninput = (e) => {
-        const fator = refs.slider_esc.value;
-        if (
-            controle.selected_obj != undefined
-            && !(controle.selected_obj instanceof Point)
-        ) {
+        const fator = Number(refs.slider_esc.value);
+        if (controle.selected_obj != undefined) {
+            inicia_modificacao_slider(controle);
+
             // Seta a escala
             controle.selected_obj.set_scale(fator);
             controle.selected_obj.transform();
 
             // Atualiza hoverbox
-            const bbox = controle.selected_obj.boundingbox();
-            hoverbox_params = [ bbox.xc, bbox.yc, bbox.w + 20, bbox.h + 20 ];
-            controle.hoverbox.set_lines(...hoverbox_params);
+            controle.hoverbox.set_lines(...parametros_hoverbox(controle.selected_obj));
+        }
+    }
+
+    // O arraste de um slider inteiro vira um único passo no histórico
+    refs.slider_rot.onchange = () => finaliza_modificacao_slider(controle);
+    refs.slider_esc.onchange = () => finaliza_modificacao_slider(controle);
+}
+
+/** Função que começa a registrar a alteração feita por um slider, se ainda não começou */
+function inicia_modificacao_slider(controle) {
+    if (controle.modificacao_slider == undefined) {
+        controle.modificacao_slider = inicia_modificacao_selecao(controle);
+    }
+}
+
+/** Função que registra no histórico a alteração feita por um slider */
+function finaliza_modificacao_slider(controle) {
+    controle.historico.finaliza_modificacao(controle.modificacao_slider);
+    controle.modificacao_slider = undefined;
+}
+
+/**
+ * Função que retorna os campos do inspetor de propriedades para o json de uma primitiva
+ * (ver to_json). Cada linha do inspetor é [rótulo, campos] e cada campo é [nome,
+ * caminho], onde caminho é a sequência de chaves até o valor dentro do json. As
+ * linhas de pontos (posição, vértices, centro) têm um terceiro item true: o json tem as
+ * coordenadas "originais", mas o inspetor mostra as atuais, já transformadas (ver
+ * valor_inspetor)
+ */
+function campos_inspetor(json) {
+    const ponto = (rotulo, caminho_x, caminho_y) => [ rotulo, [
+        [ "x", caminho_x ],
+        [ "y", caminho_y ],
+    ], true ];
+    const coordenada = (rotulo, ...caminho) => ponto(rotulo, [ ...caminho, 0 ], [ ...caminho, 1 ]);
+
+    const linhas = [];
+    if (json.tipo == "ponto") {
+        linhas.push(ponto("Posição", [ "x" ], [ "y" ]));
+        linhas.push([ "Tamanho", [ [ "pixels", [ "tamanho" ] ] ] ]);
+    } else if (json.tipo == "linha") {
+        linhas.push(ponto("Ponto 1", [ "x1" ], [ "y1" ]));
+        linhas.push(ponto("Ponto 2", [ "x2" ], [ "y2" ]));
+        linhas.push([ "Largura", [ [ "largura", [ "largura" ] ] ] ]);
+    } else if (json.tipo == "circulo") {
+        linhas.push(coordenada("Centro", "centro"));
+        linhas.push([ "Raio", [ [ "raio", [ "raio" ] ] ] ]);
+    } else if (json.tipo == "elipse") {
+        linhas.push(coordenada("Centro", "centro"));
+        linhas.push([ "Raios", [ [ "rx", [ "raios", 0 ] ], [ "ry", [ "raios", 1 ] ] ] ]);
+        linhas.push([ "Ângulo", [ [ "graus", [ "angulo" ] ] ] ]);
+    } else if (json.tipo == "polilinha") {
+        json.vertices.forEach((v, i) => {
+            linhas.push(coordenada(`Vértice ${i+1}`, "vertices", i));
+        });
+    } else if (json.tipo == "poligono") {
+        json.vertices.forEach((v, i) => {
+            linhas.push(coordenada(`Vértice ${i+1}`, "vertices", i));
+        });
+        json.buracos.forEach((buraco, j) => buraco.forEach((v, i) => {
+            linhas.push(coordenada(`Buraco ${j+1}, vértice ${i+1}`, "buracos", j, i));
+        }));
+        linhas.push([ "Contorno", [ [ "largura", [ "largura_contorno" ] ] ] ]);
+        linhas.push([ "Cor do contorno", [
+            [ "R", [ "cor_contorno", 0 ] ],
+            [ "G", [ "cor_contorno", 1 ] ],
+            [ "B", [ "cor_contorno", 2 ] ],
+            [ "A", [ "cor_contorno", 3 ] ],
+        ] ]);
+    }
+
+    linhas.push([ "Rotação", [ [ "graus", [ "rotacao" ] ] ] ]);
+    linhas.push([ "Escala", [ [ "fator", [ "escala" ] ] ] ]);
+    linhas.push([ "Translação", [
+        [ "x", [ "translacao", 0 ] ],
+        [ "y", [ "translacao", 1 ] ],
+    ] ]);
+    linhas.push([ "Cor", [
+        [ "R", [ "cor", 0 ] ],
+        [ "G", [ "cor", 1 ] ],
+        [ "B", [ "cor", 2 ] ],
+        [ "A", [ "cor", 3 ] ],
+    ] ]);
+
+    return linhas;
+}
+
+/**
+ * Função que mostra as propriedades do objeto selecionado no inspetor. Os campos só são
+ * recriados quando mudam (ex: outro objeto selecionado, buraco novo); senão, apenas os
+ * valores são atualizados, exceto o do campo sendo editado. Seleções de vários objetos
+ * não têm inspetor
+ */
+function atualiza_inspetor(refs, controle) {
+    const obj = controle.selected_obj;
+    refs.inspetor.hidden = !(obj instanceof Primitive);
+    if (refs.inspetor.hidden) return;
+
+    const json = obj.to_json();
+    const linhas = campos_inspetor(json);
+    const forma = JSON.stringify(linhas);
+    if (forma != refs.inspetor.dataset.forma) {
+        monta_inspetor(refs, controle, linhas);
+        refs.inspetor.dataset.forma = forma;
+    }
+
+    for (const input of refs.inspetor.querySelectorAll("input")) {
+        if (input == document.activeElement) continue;
+
+        input.value = valor_inspetor(obj, json, input);
+        input.classList.remove("invalido");
+    }
+}
+
+/**
+ * Função que retorna o valor de um campo do inspetor no json do objeto. Os campos de
+ * pontos mostram as coordenadas transformadas, arredondadas para esconder os erros de
+ * arredondamento da rotação
+ */
+function valor_inspetor(obj, json, input) {
+    const busca = (caminho) => caminho.reduce((valor, chave) => valor[chave], json);
+    if (input.dataset.ponto == undefined) {
+        return busca(JSON.parse(input.dataset.caminho));
+    }
+
+    const [ caminho_x, caminho_y ] = JSON.parse(input.dataset.ponto);
+    const p = obj.transforma_ponto(busca(caminho_x), busca(caminho_y));
+    return Math.round(p[input.dataset.eixo] * 1e6) / 1e6;
+}
+
+/** Função que cria os campos do inspetor (ver campos_inspetor) */
+function monta_inspetor(refs, controle, linhas) {
+    refs.inspetor.replaceChildren();
+
+    for (const [ rotulo, campos, eh_ponto ] of linhas) {
+        const div = document.createElement("div");
+        const span = document.createElement("span");
+        span.className = "rotulo-inspetor";
+        span.textContent = rotulo;
+        div.append(span);
+
+        for (const [ nome, caminho ] of campos) {
+            const input = document.createElement("input");
+            input.type = "number";
+            input.step = "any";
+            input.title = nome;
+            input.dataset.caminho = JSON.stringify(caminho);
+            if (eh_ponto) {
+                input.dataset.ponto = JSON.stringify(campos.map(([ , c ]) => c));
+                input.dataset.eixo = campos.findIndex(([ , c ]) => c == caminho);
+            }
+
+            // Cada alteração é aplicada na hora, e a edição do campo inteiro vira um
+            // único passo no histórico
+            input.oninput = () => aplica_inspetor(refs, controle, input);
+            input.onchange = () => finaliza_modificacao_inspetor(refs, controle);
+
+            div.append(` ${nome} `, input);
+        }
+
+        refs.inspetor.append(div);
+    }
+}
+
+/**
+ * Função que aplica o valor de um campo do inspetor no objeto selecionado. O objeto só
+ * é alterado se o resultado for válido (ver valida_objeto em cena.js); senão, o campo é
+ * marcado como inválido e o motivo aparece na mensagem de status.
+ * O valor de um campo de ponto é uma coordenada transformada, que é levada de volta para
+ * as coordenadas originais (ver Primitive.to_orig)
+ */
+function aplica_inspetor(refs, controle, input) {
+    const obj = controle.selected_obj;
+    const json = obj.to_json();
+    const numero = input.value == "" ? NaN : Number(input.value);
+
+    const busca = (caminho) => caminho.reduce((valor, chave) => valor[chave], json);
+    const altera = (caminho, novo) => {
+        busca(caminho.slice(0, -1))[caminho[caminho.length-1]] = novo;
+    };
+
+    if (input.dataset.ponto == undefined) {
+        altera(JSON.parse(input.dataset.caminho), numero);
+    } else {
+        const caminhos = JSON.parse(input.dataset.ponto);
+        const p = obj.transforma_ponto(...caminhos.map(busca));
+        p[input.dataset.eixo] = numero;
+        obj.to_orig(...p).forEach((novo, i) => altera(caminhos[i], novo));
+    }
+
+    try {
+        valida_objeto(json, "objeto");
+    } catch (erro) {
+        input.classList.add("invalido");
+        refs.msg.textContent = `Valor inválido: ${erro.message}`;
+        return;
+    }
+    input.classList.remove("invalido");
+    refs.msg.textContent = "";
+
+    if (controle.modificacao_inspetor == undefined) {
+        controle.modificacao_inspetor = controle.historico.inicia_modificacao([ obj ]);
+    }
+
+    // Se o pivô é o centro do objeto, ele muda junto com as coordenadas, o que moveria o
+    // ponto editado para longe do valor digitado
+    const [ px, py ] = obj.pivo_orig();
+    obj.set_json(json);
+    obj.compensa_pivo(px, py);
+
+    // Atualiza hoverbox e sliders
+    controle.hoverbox.set_lines(...parametros_hoverbox(obj));
+    refs.slider_rot.value = obj.rotation;
+    refs.slider_esc.value = obj.escala;
+}
+
+/**
+ * Função que registra no histórico a alteração feita pelo inspetor. Um campo que ficou
+ * com valor inválido volta a mostrar o valor atual do objeto
+ */
+function finaliza_modificacao_inspetor(refs, controle) {
+    controle.historico.finaliza_modificacao(controle.modificacao_inspetor);
+    controle.modificacao_inspetor = undefined;
+
+    if (refs.inspetor.querySelector(".invalido") != null) {
+        refs.msg.textContent = "";
+        if (refs.inspetor.contains(document.activeElement)) {
+            document.activeElement.blur();
         }
+        atualiza_inspetor(refs, controle);
     }
 }
 
@@ -1958,22 +5400,57 @@ function main()
     // Variáveis de controle
     const controle = {
         "ferramenta": "point",
-        "cor": refs.cores.preto,
+        "cor": [ 0, 0, 0, 255 ],
+        "traco": { "largura": 1, "extremidade": "reta", "tracejado": [] },
+        "contorno": { "preenchido": true, "cor_contorno": [0, 0, 0, 255], "largura_contorno": 0 },
+        "marcador": { "tamanho": 3, "forma": "quadrado" },
+        "cores_recentes": [],
+        "paleta": carrega_paleta(),
+        "modificacao_cor": undefined,
         "line_tmp": undefined,
         "polygon_tmp": undefined,
         "polygon_first_line": undefined,
+        "polyline_tmp": undefined,
+        "forma_tmp": undefined,
+        "inicio_forma": undefined,
+        "hole_polygon": undefined,
         "mouseX": undefined,
         "mouseY": undefined,
         "hoverbox": undefined,
         "hovered_obj": undefined,
         "selected_obj": undefined,
         "arrastando": false,
+        "arraste_temporario": false,
+        "retangulo_selecao": undefined,
+        "espaco_pressionado": false,
+        "grade": undefined,
+        "snap_grade": false,
+        "snap_objetos": refs.snap_objetos.checked,
+        "marcador_snap": undefined,
+        "espacamento_grade": Number(refs.grade_espacamento.value),
+        "inicio_arraste": undefined,
+        "marcador_pivo": undefined,
         "fecho_convexo": undefined,
+        "assinatura_fecho": undefined,
+        "redesenhar": true,
+        "alteracoes_desenhadas": undefined,
+        "historico": new Historico(Number(refs.historico_profundidade.value)),
+        "modificacao_arraste": undefined,
+        "modificacao_slider": undefined,
+        "modificacao_inspetor": undefined,
+        "alcas_vertices": [],
+        "vertice_selecionado": undefined,
+        "modificacao_vertice": undefined,
+        "modificacao_buraco": undefined,
     }
 
     // Inicializa e configura funcionalidades
     init_cores(refs, controle);
+    init_traco(refs, controle);
+    init_contorno(refs, controle);
+    init_marcador(refs, controle);
     init_botoes(refs, controle);
+    init_arquivos(refs, controle);
     init_mouse(refs, controle);
     init_keyboard(refs, controle);
     init_sliders(refs, controle);
@@ -1985,7 +5462,18 @@ function main()
     window.requestAnimationFrame(() => draw_scene(gl, program, refs, controle));
 }
 
+/**
+ * Função chamada a cada quadro de animação. A cena só é redesenhada se alguma primitiva
+ * ou lista de primitivas mudou desde o último desenho (ver Primitive.alteracoes), ou se
+ * algo fora delas pediu um redesenho (controle.redesenhar, ex: as caixas de debug)
+ */
 function draw_scene(gl, program, refs, controle) {
+    window.requestAnimationFrame(() => draw_scene(gl, program, refs, controle));
+
+    if (!controle.redesenhar && Primitive.alteracoes == controle.alteracoes_desenhadas) {
+        return;
+    }
+
     gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
     // Ativa/Desativa debug de triângulos
@@ -2004,16 +5492,37 @@ function draw_scene(gl, program, refs, controle) {
         controle.fecho_convexo = undefined;
     }
 
-    // Desenha todos os polígonos, linhas, e pontos
-    Polygon.draw();
-    Line.draw();
-    Point.draw();
+    // Mostra o pivô do objeto selecionado e mantém o inspetor atualizado com as
+    // alterações feitas por outros meios (arraste, sliders, etc)
+    draw_marcador_pivo(controle);
+    draw_alcas_vertices(controle);
+    if (controle.selected_obj != undefined) {
+        atualiza_inspetor(refs, controle);
+    }
+
+    // Desenha a grade por trás de todos os objetos
+    if (refs.grade.checked) {
+        draw_grade(refs, controle);
+    }
+
+    // Desenha os objetos do desenho na ordem de empilhamento e, por cima deles, os
+    // objetos temporários (hoverbox, fecho convexo, objeto sendo desenhado, etc)
+    const objetos = objetos_da_cena(controle);
+    const na_cena = new Set(objetos);
+    const temporarios = primitivas_desenhaveis().filter(obj => !na_cena.has(obj));
+    desenha_em_ordem([ ...objetos, ...temporarios ]);
 
     refs.ponto_count.textContent = `Pontos: ${Point.list.length}`;
     refs.linha_count.textContent = `Linhas: ${Line.list.length}`;
     refs.poligono_count.textContent = `Polígonos: ${Polygon.list.length}`;
-
-    window.requestAnimationFrame(() => draw_scene(gl, program, refs, controle));
+    refs.polilinha_count.textContent = `Polilinhas: ${Polyline.list.length}`;
+    refs.circulo_count.textContent = `Círculos: ${Circle.list.length}`;
+    refs.elipse_count.textContent = `Elipses: ${Ellipse.list.length}`;
+
+    // As alterações feitas durante o próprio desenho (fecho convexo, marcador do pivô)
+    // já foram desenhadas
+    controle.redesenhar = false;
+    controle.alteracoes_desenhadas = Primitive.alteracoes;
 }
 
 window.onload = main;
@@ -0,0 +1,391 @@
+//
+//  triangulacao.js
+//
+//  Funções de geometria usadas para triangular os polígonos. Elas trabalham apenas com
+//  objetos { x, y } e não dependem de WebGL nem do DOM, então também podem ser
+//  carregadas no Node: const tri = require("./triangulacao.js");
+//
+
+/** Tolerância para considerar um produto vetorial (ou uma área) igual a zero */
+const EPSILON_TRI = 1e-9;
+
+/**
+ * Retorna o produto vetorial (p2 - p1) x (p3 - p2).
+ * == 0 se os três pontos são colineares e o sinal indica o sentido da curva p1p2p3
+ */
+function produto_vetorial(p1, p2, p3) {
+    return (p2.x - p1.x) * (p3.y - p2.y) - (p2.y - p1.y) * (p3.x - p2.x);
+}
+
+/**
+ * Retorna o dobro da área com sinal do anel (fórmula do laço). Como o eixo y do
+ * canvas aponta para baixo, área > 0 significa sentido horário na tela
+ */
+function area_com_sinal(anel) {
+    let area = 0;
+    for (let i = 0; i < anel.length; i++) {
+        const p1 = anel[i];
+        const p2 = anel[(i+1)%anel.length];
+        area += p1.x * p2.y - p2.x * p1.y;
+    }
+    return area;
+}
+
+/** Retorna true se os dois pontos têm as mesmas coordenadas */
+function pontos_iguais(p1, p2) {
+    return p1.x == p2.x && p1.y == p2.y;
+}
+
+/** Retorna true se p está dentro ou na borda do triângulo abc */
+function ponto_no_triangulo(p, a, b, c) {
+    const l1 = produto_vetorial(a, b, p);
+    const l2 = produto_vetorial(b, c, p);
+    const l3 = produto_vetorial(c, a, p);
+
+    const tem_neg = l1 < -EPSILON_TRI || l2 < -EPSILON_TRI || l3 < -EPSILON_TRI;
+    const tem_pos = l1 > EPSILON_TRI || l2 > EPSILON_TRI || l3 > EPSILON_TRI;
+
+    return !(tem_neg && tem_pos);
+}
+
+/**
+ * Retorna true se os segmentos ab e cd se cruzam propriamente, i.e., num ponto que
+ * não é extremidade de nenhum dos dois. Segmentos que apenas se tocam ou que são
+ * colineares não contam
+ */
+function segmentos_se_cruzam(a, b, c, d) {
+    const o1 = produto_vetorial(a, b, c);
+    const o2 = produto_vetorial(a, b, d);
+    const o3 = produto_vetorial(c, d, a);
+    const o4 = produto_vetorial(c, d, b);
+
+    return (
+        ((o1 > EPSILON_TRI && o2 < -EPSILON_TRI) || (o1 < -EPSILON_TRI && o2 > EPSILON_TRI))
+        && ((o3 > EPSILON_TRI && o4 < -EPSILON_TRI) || (o3 < -EPSILON_TRI && o4 > EPSILON_TRI))
+    );
+}
+
+/** Retorna true se alguma aresta do anel cruza outra aresta não adjacente */
+function anel_auto_intersecta(anel) {
+    const n = anel.length;
+    for (let i = 0; i < n; i++) {
+        const [ a, b ] = [ anel[i], anel[(i+1)%n] ];
+        for (let j = i+2; j < n; j++) {
+            // A última aresta é adjacente à primeira
+            if (i == 0 && j == n-1) continue;
+
+            const [ c, d ] = [ anel[j], anel[(j+1)%n] ];
+            if (segmentos_se_cruzam(a, b, c, d)) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Retorna uma cópia do anel sem pontos repetidos em sequência e sem vértices colineares
+ * com seus vizinhos (que não contribuem para a forma do polígono). Os objetos dos
+ * pontos são os mesmos do anel original
+ */
+function limpa_anel(anel) {
+    const pontos = [];
+    for (const p of anel) {
+        if (pontos.length > 0 && pontos_iguais(pontos[pontos.length-1], p)) continue;
+        pontos.push(p);
+    }
+    while (pontos.length > 1 && pontos_iguais(pontos[0], pontos[pontos.length-1])) {
+        pontos.pop();
+    }
+
+    // Remove vértices colineares até não sobrar nenhum. Cada remoção pode tornar o
+    // vizinho colinear, por isso o laço recomeça a verificação
+    let removeu = true;
+    while (removeu && pontos.length >= 3) {
+        removeu = false;
+        for (let i = 0; i < pontos.length; i++) {
+            const n = pontos.length;
+            const [ p1, p2, p3 ] = [ pontos[(i+n-1)%n], pontos[i], pontos[(i+1)%n] ];
+            if (Math.abs(produto_vetorial(p1, p2, p3)) <= EPSILON_TRI) {
+                pontos.splice(i, 1);
+                removeu = true;
+                break;
+            }
+        }
+    }
+
+    return pontos;
+}
+
+/**
+ * Triangula um anel de pontos usando ear-clipping
+ * Fonte: https://www.geometrictools.com/Documentation/TriangulationByEarClipping.pdf
+ *
+ * O sentido do anel (horário ou anti-horário) é detectado pelo sinal da área, então os
+ * vértices podem estar em qualquer ordem. Retorna um objeto { triangulos, erro }, onde
+ * triangulos é uma lista de [p1, p2, p3] com os objetos do próprio anel e erro é
+ * undefined em caso de sucesso ou uma mensagem explicando por que a triangulação falhou
+ */
+function triangula_anel(anel, verifica_intersecao = true) {
+    const pontos = limpa_anel(anel);
+
+    if (pontos.length < 3) {
+        return { triangulos: [], erro: "o polígono tem menos de 3 vértices distintos" };
+    }
+
+    if (verifica_intersecao && anel_auto_intersecta(pontos)) {
+        return { triangulos: [], erro: "o polígono tem arestas que se cruzam" };
+    }
+
+    const sentido = Math.sign(area_com_sinal(pontos));
+    if (sentido == 0) {
+        return { triangulos: [], erro: "o polígono tem área nula" };
+    }
+
+    const triangulos = [];
+
+    // Percorre o anel procurando "orelhas". Se der uma volta completa sem encontrar
+    // nenhuma, o anel não é simples e a triangulação falha em vez de ficar em loop
+    let i = 0;
+    let sem_orelha = 0;
+    while (pontos.length > 3) {
+        if (sem_orelha > pontos.length) {
+            return { triangulos, erro: "não foi possível encontrar uma orelha no polígono" };
+        }
+
+        const n = pontos.length;
+        i = i % n;
+        const [ p1, p2, p3 ] = [ pontos[(i+n-1)%n], pontos[i], pontos[(i+1)%n] ];
+        const cross = produto_vetorial(p1, p2, p3);
+
+        // Vértice colinear (pode surgir depois de remover uma orelha): descarta sem
+        // gerar um triângulo degenerado
+        if (Math.abs(cross) <= EPSILON_TRI) {
+            pontos.splice(i, 1);
+            sem_orelha = 0;
+            continue;
+        }
+
+        // Vértice reflexo não pode ser orelha
+        if (cross * sentido < 0) {
+            i++;
+            sem_orelha++;
+            continue;
+        }
+
+        // Se algum vértice reflexo do polígono está dentro de p1p2p3, então p1p2p3 não
+        // é uma orelha. Pontos com as mesmas coordenadas de p1, p2 ou p3 são ignorados
+        let eh_orelha = true;
+        for (let j = 0; j < n; j++) {
+            const p = pontos[j];
+            if (pontos_iguais(p, p1) || pontos_iguais(p, p2) || pontos_iguais(p, p3)) {
+                continue;
+            }
+
+            const q1 = pontos[(j+n-1)%n];
+            const q3 = pontos[(j+1)%n];
+            if (produto_vetorial(q1, p, q3) * sentido > 0) continue;
+
+            if (ponto_no_triangulo(p, p1, p2, p3)) {
+                eh_orelha = false;
+                break;
+            }
+        }
+
+        if (eh_orelha) {
+            triangulos.push([p1, p2, p3]);
+            pontos.splice(i, 1);
+            sem_orelha = 0;
+        } else {
+            i++;
+            sem_orelha++;
+        }
+    }
+
+    // Adiciona o último triângulo, se ele não for degenerado
+    if (Math.abs(produto_vetorial(pontos[0], pontos[1], pontos[2])) > EPSILON_TRI) {
+        triangulos.push([pontos[0], pontos[1], pontos[2]]);
+    }
+
+    return { triangulos, erro: undefined };
+}
+
+/** Retorna true se o ponto p está dentro do anel (regra par-ímpar) */
+function ponto_no_anel(p, anel) {
+    let dentro = false;
+    for (let i = 0, j = anel.length-1; i < anel.length; j = i++) {
+        const [ a, b ] = [ anel[i], anel[j] ];
+        if ((a.y > p.y) != (b.y > p.y)) {
+            const x = a.x + (p.y - a.y) * (b.x - a.x) / (b.y - a.y);
+            if (p.x < x) dentro = !dentro;
+        }
+    }
+    return dentro;
+}
+
+/** Retorna true se alguma aresta do anel1 cruza alguma aresta do anel2 */
+function aneis_se_cruzam(anel1, anel2) {
+    for (let i = 0; i < anel1.length; i++) {
+        const [ a, b ] = [ anel1[i], anel1[(i+1)%anel1.length] ];
+        for (let j = 0; j < anel2.length; j++) {
+            const [ c, d ] = [ anel2[j], anel2[(j+1)%anel2.length] ];
+            if (segmentos_se_cruzam(a, b, c, d)) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Retorna true se o ponto m está no setor interior do vértice p, formado pelas arestas
+ * prev->p e p->next de um anel com o sentido dado
+ */
+function ponto_no_setor(m, prev, p, next, sentido) {
+    const o1 = sentido * produto_vetorial(prev, p, m);
+    const o2 = sentido * produto_vetorial(p, next, m);
+
+    // Vértice convexo: m tem que estar do lado de dentro das duas arestas. Vértice
+    // reflexo: basta estar do lado de dentro de uma delas
+    if (sentido * produto_vetorial(prev, p, next) > 0) {
+        return o1 > 0 && o2 > 0;
+    }
+    return o1 > 0 || o2 > 0;
+}
+
+/**
+ * Transforma o anel externo e os buracos em um único anel, ligando cada buraco ao anel
+ * externo por uma "ponte" (um par de arestas coincidentes). O anel resultante pode
+ * ser triangulado por ear-clipping normalmente
+ * Fonte: https://www.geometrictools.com/Documentation/TriangulationByEarClipping.pdf
+ *
+ * Retorna undefined se não for possível encontrar uma ponte para algum buraco
+ */
+function une_buracos(externo, buracos) {
+    const sentido = Math.sign(area_com_sinal(externo));
+    const max_x = (anel) => Math.max(...anel.map(p => p.x));
+
+    // Os buracos têm que estar no sentido contrário ao do anel externo. Eles são
+    // ligados começando pelo mais à direita
+    buracos = buracos.map(b => Math.sign(area_com_sinal(b)) == sentido ? b.slice().reverse() : b);
+    buracos.sort((a, b) => max_x(b) - max_x(a));
+
+    let anel = externo.slice();
+    for (let k = 0; k < buracos.length; k++) {
+        const buraco = buracos[k];
+
+        // Vértice do buraco mais à direita
+        let m_idx = 0;
+        for (let i = 1; i < buraco.length; i++) {
+            if (buraco[i].x > buraco[m_idx].x) m_idx = i;
+        }
+        const m = buraco[m_idx];
+
+        // A ponte não pode cruzar nenhuma aresta do anel atual nem dos buracos que
+        // ainda não foram ligados
+        const obstaculos = [ anel, ...buracos.slice(k) ];
+        const ponte_cruza = (p) => obstaculos.some(o => o.some((a, i) => {
+            const b = o[(i+1)%o.length];
+            return segmentos_se_cruzam(m, p, a, b);
+        }));
+
+        // Escolhe o vértice visível mais próximo de m
+        let melhor_idx;
+        let melhor_dist = Infinity;
+        for (let i = 0; i < anel.length; i++) {
+            const p = anel[i];
+            const d = (p.x - m.x)**2 + (p.y - m.y)**2;
+            if (d >= melhor_dist) continue;
+
+            const prev = anel[(i+anel.length-1)%anel.length];
+            const next = anel[(i+1)%anel.length];
+            if (!ponto_no_setor(m, prev, p, next, sentido)) continue;
+            if (ponte_cruza(p)) continue;
+
+            melhor_idx = i;
+            melhor_dist = d;
+        }
+
+        if (melhor_idx == undefined) return;
+
+        // Anel novo: ..., p, [volta completa no buraco a partir de m], m, p, ...
+        const volta = [ ...buraco.slice(m_idx), ...buraco.slice(0, m_idx), m ];
+        anel = [
+            ...anel.slice(0, melhor_idx+1),
+            ...volta,
+            anel[melhor_idx],
+            ...anel.slice(melhor_idx+1),
+        ];
+    }
+
+    return anel;
+}
+
+/**
+ * Triangula um polígono formado por um anel externo e uma lista (possivelmente vazia)
+ * de buracos. Valida os anéis antes (arestas que se cruzam, buracos fora do polígono,
+ * etc) e retorna { triangulos, erro } da mesma forma que triangula_anel()
+ */
+function triangula_poligono(externo, buracos = []) {
+    externo = limpa_anel(externo);
+    buracos = buracos.map(b => limpa_anel(b));
+
+    if (externo.length < 3) {
+        return { triangulos: [], erro: "o polígono tem menos de 3 vértices distintos" };
+    }
+    if (buracos.some(b => b.length < 3)) {
+        return { triangulos: [], erro: "o buraco tem menos de 3 vértices distintos" };
+    }
+    if (anel_auto_intersecta(externo)) {
+        return { triangulos: [], erro: "o polígono tem arestas que se cruzam" };
+    }
+    if (buracos.some(b => anel_auto_intersecta(b))) {
+        return { triangulos: [], erro: "o buraco tem arestas que se cruzam" };
+    }
+    if (Math.abs(area_com_sinal(externo)) <= EPSILON_TRI) {
+        return { triangulos: [], erro: "o polígono tem área nula" };
+    }
+
+    for (let i = 0; i < buracos.length; i++) {
+        const buraco = buracos[i];
+
+        if (!buraco.every(p => ponto_no_anel(p, externo))) {
+            return { triangulos: [], erro: "o buraco não está dentro do polígono" };
+        }
+        if (aneis_se_cruzam(buraco, externo)) {
+            return { triangulos: [], erro: "o buraco cruza as arestas do polígono" };
+        }
+
+        for (let j = 0; j < buracos.length; j++) {
+            if (i == j) continue;
+            if (
+                aneis_se_cruzam(buraco, buracos[j])
+                || buraco.some(p => ponto_no_anel(p, buracos[j]))
+            ) {
+                return { triangulos: [], erro: "o buraco se sobrepõe a outro buraco" };
+            }
+        }
+    }
+
+    if (buracos.length == 0) {
+        return triangula_anel(externo, false);
+    }
+
+    const anel = une_buracos(externo, buracos);
+    if (anel == undefined) {
+        return { triangulos: [], erro: "não foi possível ligar o buraco ao polígono" };
+    }
+
+    return triangula_anel(anel, false);
+}
+
+if (typeof module != "undefined") {
+    module.exports = {
+        produto_vetorial,
+        area_com_sinal,
+        ponto_no_triangulo,
+        segmentos_se_cruzam,
+        anel_auto_intersecta,
+        limpa_anel,
+        triangula_anel,
+        ponto_no_anel,
+        une_buracos,
+        triangula_poligono,
+    };
+}
@@ -0,0 +1,165 @@
+//
+//  triangulacao.test.js
+//
+//  Testes da triangulação com polígonos "difíceis". Rodam no Node, sem WebGL:
+//  node triangulacao.test.js
+//
+
+const assert = require("assert");
+const {
+    area_com_sinal,
+    triangula_anel,
+    triangula_poligono,
+} = require("./triangulacao.js");
+
+/** Converte uma lista de [x, y] para objetos { x, y } */
+function anel(coords) {
+    return coords.map(([x, y]) => ({ x, y }));
+}
+
+/** Área (sem sinal) de um anel. area_com_sinal() retorna o dobro */
+function area(p) {
+    return Math.abs(area_com_sinal(p)) / 2;
+}
+
+/** Soma das áreas dos triângulos */
+function area_triangulos(triangulos) {
+    return triangulos.reduce((soma, t) => soma + area(t), 0);
+}
+
+/**
+ * Confere que a triangulação deu certo, que cobre exatamente a área esperada e que
+ * nenhum triângulo é degenerado
+ */
+function confere_triangulacao(resultado, area_esperada, n_triangulos) {
+    assert.strictEqual(resultado.erro, undefined);
+    const soma = area_triangulos(resultado.triangulos);
+    assert.ok(Math.abs(soma - area_esperada) < 1e-9, `área ${soma} != ${area_esperada}`);
+    for (const t of resultado.triangulos) {
+        assert.ok(area(t) > 1e-9, "triângulo degenerado");
+    }
+    if (n_triangulos != undefined) {
+        assert.strictEqual(resultado.triangulos.length, n_triangulos);
+    }
+}
+
+const L = anel([[0, 0], [2, 0], [2, 1], [1, 1], [1, 2], [0, 2]]);
+const U = anel([[0, 0], [3, 0], [3, 3], [2, 3], [2, 1], [1, 1], [1, 3], [0, 3]]);
+const ESPIRAL = anel([
+    [0, 0], [10, 0], [10, 10], [2, 10], [2, 4], [6, 4],
+    [6, 6], [4, 6], [4, 8], [8, 8], [8, 2], [0, 2],
+]);
+const QUADRADO = anel([[0, 0], [10, 0], [10, 10], [0, 10]]);
+
+const testes = {
+    "L": () => {
+        confere_triangulacao(triangula_anel(L), 3, 4);
+        confere_triangulacao(triangula_poligono(L), 3, 4);
+    },
+
+    "U": () => {
+        confere_triangulacao(triangula_anel(U), 7, 6);
+        confere_triangulacao(triangula_poligono(U), 7, 6);
+    },
+
+    "espiral": () => {
+        confere_triangulacao(triangula_anel(ESPIRAL), 60, ESPIRAL.length - 2);
+        confere_triangulacao(triangula_poligono(ESPIRAL), 60, ESPIRAL.length - 2);
+    },
+
+    "sentido horário e anti-horário dão a mesma área": () => {
+        for (const p of [L, U, ESPIRAL, QUADRADO]) {
+            const invertido = [...p].reverse();
+            assert.ok(area_com_sinal(p) * area_com_sinal(invertido) < 0);
+            confere_triangulacao(triangula_anel(p), area(p), p.length - 2);
+            confere_triangulacao(triangula_anel(invertido), area(p), p.length - 2);
+        }
+    },
+
+    "vértices colineares não geram triângulos degenerados": () => {
+        const p = anel([[0, 0], [1, 0], [2, 0], [3, 0], [3, 3], [0, 3], [0, 2], [0, 1]]);
+        confere_triangulacao(triangula_anel(p), 9);
+        confere_triangulacao(triangula_poligono(p), 9);
+    },
+
+    "vértices duplicados são ignorados": () => {
+        const p = anel([[0, 0], [0, 0], [4, 0], [4, 0], [4, 4], [0, 4], [0, 0]]);
+        confere_triangulacao(triangula_anel(p), 16, 2);
+        confere_triangulacao(triangula_poligono(p), 16, 2);
+    },
+
+    "menos de 3 vértices distintos": () => {
+        const p = anel([[0, 0], [1, 1], [1, 1], [0, 0]]);
+        assert.match(triangula_anel(p).erro, /menos de 3 vértices/);
+        assert.match(triangula_poligono(p).erro, /menos de 3 vértices/);
+    },
+
+    "todos os vértices colineares": () => {
+        const p = anel([[0, 0], [1, 1], [2, 2], [3, 3]]);
+        for (const r of [triangula_anel(p), triangula_poligono(p)]) {
+            assert.deepStrictEqual(r.triangulos, []);
+            assert.ok(r.erro != undefined);
+        }
+    },
+
+    "anel que se cruza informa o erro": () => {
+        const gravata = anel([[0, 0], [2, 2], [2, 0], [0, 2]]);
+        for (const r of [triangula_anel(gravata), triangula_poligono(gravata)]) {
+            assert.deepStrictEqual(r.triangulos, []);
+            assert.match(r.erro, /arestas que se cruzam/);
+        }
+    },
+
+    "um buraco": () => {
+        const buraco = anel([[3, 3], [7, 3], [7, 7], [3, 7]]);
+        confere_triangulacao(triangula_poligono(QUADRADO, [buraco]), 100 - 16);
+        // O sentido do buraco não importa
+        confere_triangulacao(triangula_poligono(QUADRADO, [[...buraco].reverse()]), 100 - 16);
+    },
+
+    "vários buracos": () => {
+        const buracos = [
+            anel([[1, 1], [3, 1], [3, 3], [1, 3]]),
+            anel([[6, 1], [9, 1], [9, 4], [6, 4]]),
+            anel([[2, 6], [5, 9], [2, 9]]),
+        ];
+        confere_triangulacao(triangula_poligono(QUADRADO, buracos), 100 - 4 - 9 - 4.5);
+    },
+
+    "buraco em polígono côncavo": () => {
+        const buraco = anel([[0.2, 0.2], [0.8, 0.2], [0.8, 0.8], [0.2, 0.8]]);
+        confere_triangulacao(triangula_poligono(U, [buraco]), 7 - 0.36);
+    },
+
+    "buraco inválido informa o erro": () => {
+        const fora = anel([[20, 20], [30, 20], [30, 30]]);
+        assert.match(triangula_poligono(QUADRADO, [fora]).erro, /não está dentro/);
+
+        const cruza = anel([[5, 5], [15, 5], [15, 8], [5, 8]]);
+        assert.ok(triangula_poligono(QUADRADO, [cruza]).erro != undefined);
+
+        const degenerado = anel([[2, 2], [3, 3], [3, 3]]);
+        assert.match(triangula_poligono(QUADRADO, [degenerado]).erro, /menos de 3 vértices/);
+
+        const gravata = anel([[2, 2], [4, 4], [4, 2], [2, 4]]);
+        assert.match(triangula_poligono(QUADRADO, [gravata]).erro, /arestas que se cruzam/);
+
+        const b1 = anel([[2, 2], [6, 2], [6, 6], [2, 6]]);
+        const b2 = anel([[4, 4], [8, 4], [8, 8], [4, 8]]);
+        assert.match(triangula_poligono(QUADRADO, [b1, b2]).erro, /sobrepõe/);
+    },
+};
+
+let falhas = 0;
+for (const [nome, teste] of Object.entries(testes)) {
+    try {
+        teste();
+        console.log(`ok - ${nome}`);
+    } catch (e) {
+        falhas++;
+        console.log(`FALHOU - ${nome}\n${e.message}`);
+    }
+}
+
+console.log(`${Object.keys(testes).length - falhas} de ${Object.keys(testes).length} testes passaram`);
+process.exitCode = falhas > 0 ? 1 : 0;